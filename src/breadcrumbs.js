@@ -0,0 +1,166 @@
+const http = require('node:http')
+const https = require('node:https')
+const invocationContext = require('./context')
+
+const CONSOLE_LOG_METHODS = ['log', 'debug', 'info', 'warn', 'error']
+
+let isInstalled = false
+
+// Patch the console, the http/https modules and fetch once per process, the
+// breadcrumbs are only left on the client of the current invocation
+function installBreadcrumbs () {
+  if (isInstalled) {
+    return
+  }
+
+  isInstalled = true
+
+  patchConsole()
+  patchHttpModule(http, 'http:')
+  patchHttpModule(https, 'https:')
+  patchFetch()
+}
+
+function getInvocationClient (type) {
+  const invocation = invocationContext.getStore()
+
+  if (!invocation || !invocation.captureBreadcrumbs || !invocation.client._isBreadcrumbTypeEnabled(type)) {
+    return undefined
+  }
+
+  return invocation.client
+}
+
+function patchConsole () {
+  CONSOLE_LOG_METHODS.forEach(method => {
+    const original = console[method]
+
+    // the console is already patched by @bugsnag/node, which leaves the
+    // breadcrumbs on the client of the current async context
+    if (typeof original !== 'function' || original._restore) {
+      return
+    }
+
+    console[method] = function (...args) {
+      const client = getInvocationClient('log')
+
+      // ignore the lines logged by Bugsnag itself
+      if (client && args[0] !== '[bugsnag]') {
+        client.leaveBreadcrumb('Console output', args.reduce((metadata, arg, i) => {
+          metadata[`[${i}]`] = stringify(arg)
+
+          return metadata
+        }, { severity: method }), 'log')
+      }
+
+      return original.apply(this, args)
+    }
+  })
+}
+
+function patchHttpModule (module, protocol) {
+  ['request', 'get'].forEach(method => {
+    const original = module[method]
+
+    module[method] = function (...args) {
+      const req = original.apply(this, args)
+      const client = getInvocationClient('request')
+
+      if (client) {
+        trackRequest(client, req, protocol)
+      }
+
+      return req
+    }
+  })
+}
+
+function trackRequest (client, req, protocol) {
+  const startedAt = Date.now()
+  const url = `${req.protocol || protocol}//${req.getHeader('host') || req.host}${req.path.split('?')[0]}`
+
+  if (isBugsnagUrl(client, url)) {
+    return
+  }
+
+  req.once('response', res => {
+    leaveRequestBreadcrumb(client, req.method, url, res.statusCode, Date.now() - startedAt)
+  })
+
+  req.once('error', () => {
+    leaveRequestBreadcrumb(client, req.method, url, undefined, Date.now() - startedAt)
+  })
+}
+
+function patchFetch () {
+  const original = globalThis.fetch
+
+  if (typeof original !== 'function') {
+    return
+  }
+
+  globalThis.fetch = function (input, init) {
+    const client = getInvocationClient('request')
+
+    if (!client) {
+      return original.apply(this, arguments)
+    }
+
+    const startedAt = Date.now()
+    const request = input instanceof Request ? input : undefined
+    const method = ((init && init.method) || (request && request.method) || 'GET').toUpperCase()
+    const url = String(request ? request.url : input).split('?')[0]
+
+    if (isBugsnagUrl(client, url)) {
+      return original.apply(this, arguments)
+    }
+
+    return original.apply(this, arguments).then(response => {
+      leaveRequestBreadcrumb(client, method, url, response.status, Date.now() - startedAt)
+
+      return response
+    }, err => {
+      leaveRequestBreadcrumb(client, method, url, undefined, Date.now() - startedAt)
+
+      throw err
+    })
+  }
+}
+
+// requests without a status failed, requests with a status >= 400 are
+// considered failed like in the browser network breadcrumbs
+function leaveRequestBreadcrumb (client, method, url, status, duration) {
+  const succeeded = status !== undefined && status < 400
+
+  client.leaveBreadcrumb(`HTTP request ${succeeded ? 'succeeded' : 'failed'}`, {
+    method,
+    url,
+    status,
+    duration,
+  }, 'request')
+}
+
+// don't leave breadcrumbs for the delivery of the events and sessions
+function isBugsnagUrl (client, url) {
+  const { notify, sessions } = client._config.endpoints
+
+  return [notify, sessions].some(endpoint => typeof endpoint === 'string' && url.startsWith(endpoint.split('?')[0]))
+}
+
+function stringify (value) {
+  let stringified = '[Unknown value]'
+
+  try {
+    stringified = String(value)
+  } catch (err) {}
+
+  if (stringified === '[object Object]') {
+    try {
+      stringified = JSON.stringify(value)
+    } catch (err) {}
+  }
+
+  return stringified
+}
+
+module.exports = installBreadcrumbs
@@ -0,0 +1,5 @@
+const { AsyncLocalStorage } = require('node:async_hooks')
+
+// The invocation being executed in the current async context, so code running
+// outside of the handler's arguments (e.g. patched modules) can find it
+module.exports = new AsyncLocalStorage()
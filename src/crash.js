@@ -0,0 +1,42 @@
+const ERROR_EVENTS = ['uncaughtException', 'unhandledRejection']
+
+// Run the callback on the process-level errors, then pass the error on to the
+// listeners installed since the handler was created, e.g. the ones of the
+// Functions Framework which exit right away and would not let the callback
+// complete. The listeners installed before, e.g. the ones of @bugsnag/node, are
+// left alone
+function createCrashHandler (callback, target = process) {
+  const initialListeners = ERROR_EVENTS.reduce((listeners, name) => ({ ...listeners, [name]: target.listeners(name) }), {})
+  let installed = false
+
+  return {
+    // the Functions Framework only adds its error listeners when it starts the
+    // server, after the plugin is loaded, so they can't be deferred any sooner
+    install () {
+      if (installed) {
+        return
+      }
+
+      installed = true
+
+      ERROR_EVENTS.forEach(name => {
+        const listeners = target.listeners(name).filter(listener => !initialListeners[name].includes(listener))
+
+        // without another listener, the process crashes as usual
+        if (listeners.length === 0) {
+          return
+        }
+
+        listeners.forEach(listener => { target.removeListener(name, listener) })
+
+        target.on(name, async (...args) => {
+          await Promise.resolve().then(() => callback(name, ...args)).catch(() => {})
+
+          listeners.forEach(listener => { listener.apply(target, args) })
+        })
+      })
+    },
+  }
+}
+
+module.exports = createCrashHandler
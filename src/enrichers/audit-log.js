@@ -0,0 +1,33 @@
+const AUDIT_LOG_WRITTEN = 'google.cloud.audit.log.v1.written'
+
+module.exports = {
+  match (type) {
+    return type === AUDIT_LOG_WRITTEN
+  },
+  enrich (cloudEvent, event) {
+    const data = cloudEvent.data || {}
+    const payload = data.protoPayload || {}
+    const authenticationInfo = payload.authenticationInfo || {}
+    const requestMetadata = payload.requestMetadata || {}
+
+    const methodName = payload.methodName || cloudEvent.methodname
+
+    event.addMetadata('auditLog', {
+      serviceName: payload.serviceName || cloudEvent.servicename,
+      methodName,
+      resourceName: payload.resourceName || cloudEvent.resourcename,
+      principal: authenticationInfo.principalEmail,
+      callerIp: requestMetadata.callerIp,
+      callerUserAgent: requestMetadata.callerSuppliedUserAgent,
+      status: payload.status,
+      logName: data.logName,
+      severity: data.severity,
+      insertId: data.insertId,
+      timestamp: data.timestamp,
+    })
+
+    if (methodName) {
+      event.context = methodName
+    }
+  },
+}
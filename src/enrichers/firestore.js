@@ -0,0 +1,253 @@
+const { readFields, toInt64 } = require('../protobuf')
+
+const FIRESTORE_DOCUMENT_EVENT_PREFIX = 'google.cloud.firestore.document.v1.'
+
+module.exports = {
+  match (type) {
+    return typeof type === 'string' && type.startsWith(FIRESTORE_DOCUMENT_EVENT_PREFIX)
+  },
+  enrich (cloudEvent, event) {
+    const metadata = {
+      eventType: cloudEvent.type.slice(FIRESTORE_DOCUMENT_EVENT_PREFIX.length).replace(/\.withAuthContext$/, ''),
+      database: cloudEvent.database,
+      namespace: cloudEvent.namespace,
+      document: cloudEvent.document,
+    }
+
+    try {
+      const { value, oldValue, updateMask } = decodeDocumentEventData(cloudEvent.data)
+
+      metadata.document = metadata.document || getDocumentPath(value || oldValue)
+      metadata.value = value ? value.fields : undefined
+      metadata.oldValue = oldValue ? oldValue.fields : undefined
+      metadata.updateMask = updateMask
+      metadata.changes = value && oldValue ? diffFields(oldValue.fields, value.fields) : undefined
+    } catch (err) {
+      metadata.decodeError = err.message
+    }
+
+    event.addMetadata('firestore', metadata)
+
+    if (metadata.document) {
+      event.context = metadata.document
+    }
+  },
+}
+
+// The data is either a "DocumentEventData" protobuf message (the default
+// "application/protobuf" content type) or its JSON representation
+function decodeDocumentEventData (data) {
+  if (data === undefined || data === null) {
+    return {}
+  }
+
+  if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+    return decodeDocumentEventDataMessage(Buffer.from(data))
+  }
+
+  return {
+    value: data.value ? decodeDocumentJson(data.value) : undefined,
+    oldValue: data.oldValue ? decodeDocumentJson(data.oldValue) : undefined,
+    updateMask: data.updateMask ? data.updateMask.fieldPaths : undefined,
+  }
+}
+
+function decodeDocumentJson ({ name, fields = {} }) {
+  return {
+    name,
+    fields: mapValues(fields, decodeValueJson),
+  }
+}
+
+function decodeValueJson (value) {
+  if ('nullValue' in value) return null
+  if ('booleanValue' in value) return value.booleanValue
+  if ('integerValue' in value) return toNumber(BigInt(value.integerValue))
+  if ('doubleValue' in value) return Number(value.doubleValue)
+  if ('arrayValue' in value) return (value.arrayValue.values || []).map(decodeValueJson)
+  if ('mapValue' in value) return mapValues(value.mapValue.fields || {}, decodeValueJson)
+
+  // timestamps, strings, bytes, references and geo points are already readable
+  const key = Object.keys(value)[0]
+
+  return key ? value[key] : undefined
+}
+
+// message DocumentEventData {
+//   Document value = 1;
+//   Document old_value = 2;
+//   DocumentMask update_mask = 3;
+// }
+function decodeDocumentEventDataMessage (buffer) {
+  const result = {}
+
+  for (const { number, value } of readFields(buffer)) {
+    if (number === 1) result.value = decodeDocumentMessage(value)
+    if (number === 2) result.oldValue = decodeDocumentMessage(value)
+    if (number === 3) result.updateMask = decodeDocumentMaskMessage(value)
+  }
+
+  return result
+}
+
+// message Document {
+//   string name = 1;
+//   map<string, Value> fields = 2;
+//   Timestamp create_time = 3;
+//   Timestamp update_time = 4;
+// }
+function decodeDocumentMessage (buffer) {
+  const document = { fields: {} }
+
+  for (const { number, value } of readFields(buffer)) {
+    if (number === 1) document.name = value.toString('utf8')
+    if (number === 2) Object.assign(document.fields, decodeMapEntryMessage(value))
+  }
+
+  return document
+}
+
+// message DocumentMask {
+//   repeated string field_paths = 1;
+// }
+function decodeDocumentMaskMessage (buffer) {
+  return readFields(buffer)
+    .filter(({ number }) => number === 1)
+    .map(({ value }) => value.toString('utf8'))
+}
+
+// map<string, Value> entries are encoded as { string key = 1; Value value = 2; }
+function decodeMapEntryMessage (buffer) {
+  let key
+  let value
+
+  for (const field of readFields(buffer)) {
+    if (field.number === 1) key = field.value.toString('utf8')
+    if (field.number === 2) value = decodeValueMessage(field.value)
+  }
+
+  return { [key]: value }
+}
+
+// message Value {
+//   oneof value_type {
+//     NullValue null_value = 11;
+//     bool boolean_value = 1;
+//     int64 integer_value = 2;
+//     double double_value = 3;
+//     Timestamp timestamp_value = 10;
+//     string string_value = 17;
+//     bytes bytes_value = 18;
+//     string reference_value = 5;
+//     LatLng geo_point_value = 8;
+//     ArrayValue array_value = 9;
+//     MapValue map_value = 6;
+//   }
+// }
+function decodeValueMessage (buffer) {
+  let result
+
+  for (const { number, value } of readFields(buffer)) {
+    switch (number) {
+      case 11: result = null; break
+      case 1: result = value !== 0n; break
+      case 2: result = toNumber(toInt64(value)); break
+      case 3: result = value.readDoubleLE(0); break
+      case 10: result = decodeTimestampMessage(value); break
+      case 17: result = value.toString('utf8'); break
+      case 18: result = value.toString('base64'); break
+      case 5: result = value.toString('utf8'); break
+      case 8: result = decodeLatLngMessage(value); break
+      case 9: result = decodeArrayValueMessage(value); break
+      case 6: result = decodeMapValueMessage(value); break
+    }
+  }
+
+  return result
+}
+
+// message ArrayValue {
+//   repeated Value values = 1;
+// }
+function decodeArrayValueMessage (buffer) {
+  return readFields(buffer)
+    .filter(({ number }) => number === 1)
+    .map(({ value }) => decodeValueMessage(value))
+}
+
+// message MapValue {
+//   map<string, Value> fields = 1;
+// }
+function decodeMapValueMessage (buffer) {
+  return readFields(buffer)
+    .filter(({ number }) => number === 1)
+    .reduce((fields, { value }) => Object.assign(fields, decodeMapEntryMessage(value)), {})
+}
+
+// message Timestamp {
+//   int64 seconds = 1;
+//   int32 nanos = 2;
+// }
+function decodeTimestampMessage (buffer) {
+  let seconds = 0n
+  let nanos = 0n
+
+  for (const { number, value } of readFields(buffer)) {
+    if (number === 1) seconds = toInt64(value)
+    if (number === 2) nanos = value
+  }
+
+  return new Date(Number(seconds * 1000n + nanos / 1000000n)).toISOString()
+}
+
+// message LatLng {
+//   double latitude = 1;
+//   double longitude = 2;
+// }
+function decodeLatLngMessage (buffer) {
+  const latLng = { latitude: 0, longitude: 0 }
+
+  for (const { number, value } of readFields(buffer)) {
+    if (number === 1) latLng.latitude = value.readDoubleLE(0)
+    if (number === 2) latLng.longitude = value.readDoubleLE(0)
+  }
+
+  return latLng
+}
+
+// the document name is the full resource name, e.g.
+// "projects/my-project/databases/(default)/documents/users/alice"
+function getDocumentPath (document) {
+  const match = document && /\/documents\/(.+)$/.exec(document.name || '')
+
+  return match ? match[1] : undefined
+}
+
+// list the top-level fields that were added, removed or changed
+function diffFields (oldFields, newFields) {
+  const changes = {}
+  const keys = new Set([...Object.keys(oldFields), ...Object.keys(newFields)])
+
+  for (const key of keys) {
+    if (JSON.stringify(oldFields[key]) !== JSON.stringify(newFields[key])) {
+      changes[key] = { oldValue: oldFields[key], newValue: newFields[key] }
+    }
+  }
+
+  return changes
+}
+
+function mapValues (object, fn) {
+  return Object.keys(object).reduce((result, key) => {
+    result[key] = fn(object[key])
+
+    return result
+  }, {})
+}
+
+// keep integers outside the safe range as strings rather than losing precision
+function toNumber (bigint) {
+  return bigint >= BigInt(Number.MIN_SAFE_INTEGER) && bigint <= BigInt(Number.MAX_SAFE_INTEGER)
+    ? Number(bigint)
+    : bigint.toString()
+}
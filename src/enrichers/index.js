@@ -0,0 +1,12 @@
+const auditLogEnricher = require('./audit-log')
+const firestoreEnricher = require('./firestore')
+const pubsubEnricher = require('./pubsub')
+const storageEnricher = require('./storage')
+
+// enrichers for the well-known Google Cloud event types
+module.exports = [
+  pubsubEnricher,
+  storageEnricher,
+  firestoreEnricher,
+  auditLogEnricher,
+]
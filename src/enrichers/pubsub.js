@@ -0,0 +1,52 @@
+const PUBSUB_MESSAGE_PUBLISHED = 'google.cloud.pubsub.topic.v1.messagePublished'
+const PAYLOAD_MAX_LENGTH = 4096
+
+module.exports = {
+  match (type) {
+    return type === PUBSUB_MESSAGE_PUBLISHED
+  },
+  enrich (cloudEvent, event) {
+    const { message = {}, subscription } = cloudEvent.data || {}
+    const topic = getTopic(cloudEvent.source)
+
+    event.addMetadata('pubsub', {
+      subscription,
+      topic,
+      messageId: message.messageId || message.message_id,
+      publishTime: message.publishTime || message.publish_time,
+      orderingKey: message.orderingKey,
+      attributes: message.attributes,
+      payload: decodePayload(message.data),
+    })
+
+    if (topic) {
+      event.context = topic
+    }
+  },
+}
+
+// the source is the full resource name of the topic, e.g.
+// "//pubsub.googleapis.com/projects/my-project/topics/my-topic"
+function getTopic (source) {
+  const match = /\/topics\/([^/]+)$/.exec(source || '')
+
+  return match ? match[1] : undefined
+}
+
+// the message data is base64 encoded, decode it and parse it as JSON if
+// possible, otherwise keep it as a string capped to a reasonable size
+function decodePayload (data) {
+  if (typeof data !== 'string') {
+    return undefined
+  }
+
+  const payload = Buffer.from(data, 'base64').toString('utf8')
+
+  try {
+    return JSON.parse(payload)
+  } catch (err) {
+    return payload.length > PAYLOAD_MAX_LENGTH
+      ? `${payload.slice(0, PAYLOAD_MAX_LENGTH)}…(truncated ${payload.length - PAYLOAD_MAX_LENGTH} characters)`
+      : payload
+  }
+}
@@ -0,0 +1,27 @@
+const STORAGE_OBJECT_EVENT_PREFIX = 'google.cloud.storage.object.v1.'
+
+module.exports = {
+  match (type) {
+    return typeof type === 'string' && type.startsWith(STORAGE_OBJECT_EVENT_PREFIX)
+  },
+  enrich (cloudEvent, event) {
+    const data = cloudEvent.data || {}
+
+    event.addMetadata('storage', {
+      eventType: cloudEvent.type.slice(STORAGE_OBJECT_EVENT_PREFIX.length),
+      bucket: data.bucket,
+      object: data.name,
+      generation: data.generation,
+      metageneration: data.metageneration,
+      contentType: data.contentType,
+      size: data.size,
+      storageClass: data.storageClass,
+      timeCreated: data.timeCreated,
+      updated: data.updated,
+    })
+
+    if (data.bucket) {
+      event.context = data.name ? `gs://${data.bucket}/${data.name}` : `gs://${data.bucket}`
+    }
+  },
+}
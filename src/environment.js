@@ -0,0 +1,76 @@
+const http = require('node:http')
+
+const METADATA_SERVER_HOST = 'metadata.google.internal'
+const METADATA_SERVER_TIMEOUT_MS = 500
+const RELEASE_STAGES = {
+  dev: 'development',
+  development: 'development',
+  stage: 'staging',
+  staging: 'staging',
+  qa: 'test',
+  test: 'test',
+}
+
+// Describe the Cloud Run service from the environment variables set by the
+// runtime, the region is only set by the 1st gen runtime
+function getEnvironmentInfo () {
+  return {
+    service: process.env.K_SERVICE,
+    revision: process.env.K_REVISION,
+    configuration: process.env.K_CONFIGURATION,
+    region: process.env.FUNCTION_REGION,
+    projectId: process.env.GOOGLE_CLOUD_PROJECT || process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT,
+  }
+}
+
+// Guess the release stage from the service name, e.g. "orders-staging"
+function getReleaseStage (service) {
+  const parts = (service || '').toLowerCase().split(/[-_]/)
+  const part = parts.find(part => part in RELEASE_STAGES)
+
+  return part ? RELEASE_STAGES[part] : undefined
+}
+
+// Query the metadata server for what the environment variables don't provide.
+// This never rejects, as the metadata server is only available on Google Cloud
+async function fetchMetadataServerInfo (timeoutMs = METADATA_SERVER_TIMEOUT_MS) {
+  const [projectId, region, instanceId] = await Promise.all([
+    fetchMetadata('project/project-id', timeoutMs),
+    fetchMetadata('instance/region', timeoutMs),
+    fetchMetadata('instance/id', timeoutMs),
+  ])
+
+  return {
+    projectId,
+    // the region is returned as "projects/123456789/regions/us-central1"
+    region: region ? region.split('/').pop() : undefined,
+    instanceId,
+  }
+}
+
+function fetchMetadata (path, timeoutMs) {
+  // GCE_METADATA_HOST is the variable used by the Google Cloud client libraries
+  // to override the metadata server host, e.g. with a local stub
+  const host = process.env.GCE_METADATA_HOST || METADATA_SERVER_HOST
+  const url = `http://${host}/computeMetadata/v1/${path}`
+
+  return new Promise(resolve => {
+    const req = http.get(url, { headers: { 'Metadata-Flavor': 'Google' }, timeout: timeoutMs }, res => {
+      let body = ''
+
+      res.setEncoding('utf8')
+      res.on('data', chunk => { body += chunk })
+      res.on('end', () => resolve(res.statusCode === 200 && body ? body : undefined))
+      res.on('error', () => resolve(undefined))
+    })
+
+    req.on('timeout', () => req.destroy(new Error(`metadata server timed out after ${timeoutMs}ms`)))
+    req.on('error', () => resolve(undefined))
+  })
+}
+
+module.exports = {
+  getEnvironmentInfo,
+  getReleaseStage,
+  fetchMetadataServerInfo,
+}
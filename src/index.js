@@ -1,12 +1,46 @@
 const BugsnagInFlightPlugin = require('@bugsnag/in-flight')
 const BugsnagPluginBrowserSession = require('@bugsnag/plugin-browser-session')
+const clone = require('@bugsnag/core/lib/clone-client')
 const extractRequestInfo = require('@bugsnag/plugin-express/src/request-info')
+const { randomUUID } = require('node:crypto')
+const { STATUS_CODES } = require('node:http')
+const builtInEnrichers = require('./enrichers')
+const pubsubEnricher = require('./enrichers/pubsub')
+const { getEnvironmentInfo, getReleaseStage, fetchMetadataServerInfo } = require('./environment')
+const { getRequestTrace, getCloudEventTrace, getTraceInfo } = require('./trace')
+const createStructuredLogger = require('./logger')
+const installBreadcrumbs = require('./breadcrumbs')
+const invocationContext = require('./context')
+const trackResponse = require('./response')
+const { createAttemptTracker, getDeliveryAttempt, getEventAgeMs } = require('./retries')
+const createSessionAggregator = require('./sessions')
+const createShutdownHandler = require('./shutdown')
+const createCrashHandler = require('./crash')
+const instrumentFunctionsFramework = require('./instrumentation')
+const { BODY_MODES, REDACTED_HEADERS, filterHeaders, captureBody, redactPaths, limitSize } = require('./redaction')
 
 const PLUGIN_NAME = 'cloud run functions plugin'
 const FLUSH_TIMEOUT_MS = 2000
+const TIMEOUT_WARNING_MS = 1000
+const MAX_BODY_SIZE = 4096
+// the notifier drops the whole metadata of events over 1MB, keep each tab
+// well under it
+const MAX_METADATA_SIZE = 100 * 1024
+const SESSION_FLUSH_INTERVAL_MS = 60000
+const SESSION_FLUSH_THRESHOLD = 1000
+// Cloud Run gives the instances 10 seconds to shut down
+const SHUTDOWN_TIMEOUT_MS = 5000
+const WAIT_UNTIL_TIMEOUT_MS = 5000
 const SERVER_PLUGIN_NAMES = ['express', 'koa', 'restify']
+const CATCH_ALL_ROUTES = ['*', '/*']
+const NOTIFY_ATTEMPTS = ['all', 'first', 'final']
 
-const isServerPluginLoaded = client => SERVER_PLUGIN_NAMES.some(name => client.getPlugin(name))
+const isServerPluginLoaded = getPlugin => SERVER_PLUGIN_NAMES.some(name => getPlugin(name))
+
+// Express and Connect apps are request handlers with a router, Koa apps create
+// their request handler with "callback"
+const isConnectApp = handler => typeof handler === 'function' && typeof handler.handle === 'function' && typeof handler.use === 'function'
+const isKoaApp = handler => Boolean(handler) && typeof handler.callback === 'function' && typeof handler.use === 'function'
 
 const BugsnagPluginCloudRunFunctions = {
   name: 'CloudRunFunctions',
@@ -14,38 +48,499 @@ const BugsnagPluginCloudRunFunctions = {
     BugsnagInFlightPlugin.trackInFlight(client)
     client._loadPlugin(BugsnagPluginBrowserSession)
 
-    // Reset the app duration between invocations, if the plugin is loaded
-    const appDurationPlugin = client.getPlugin('appDuration')
+    // @bugsnag/node forwards the methods of the client to the client of the
+    // current async context, i.e. to the invocation client which has no
+    // plugins. Keep the method of the client itself, while it is not forwarded
+    // yet, as the server plugins may be loaded after this one
+    const getPlugin = client.getPlugin.bind(client)
+    const plugins = {
+      isServerPluginLoaded: () => isServerPluginLoaded(getPlugin),
+      appDuration: getPlugin('appDuration'),
+    }
+
+    // the lifecycle of the instance, shared by every handler of the client
+    const lifecycle = { startedAt: Date.now(), invocationCount: 0, invocations: new Set() }
+
+    // the environment of the instance, the metadata server is only queried once
+    // a handler opts in to it
+    const environment = { info: getEnvironmentInfo(), metadataServerInfo: undefined }
+
+    // Use the Cloud Run revision as the app version, unless one is configured
+    if (!client._config.appVersion && environment.info.revision) {
+      client._config.appVersion = environment.info.revision
+    }
+
+    client.addOnError(event => {
+      if (!environment.metadataServerInfo) {
+        addEnvironmentInfo(event, environment.info)
+
+        return
+      }
+
+      return environment.metadataServerInfo.then(info => { addEnvironmentInfo(event, environment.info, info) })
+    }, true)
+
+    const useMetadataServer = () => {
+      if (!environment.metadataServerInfo) {
+        environment.metadataServerInfo = fetchMetadataServerInfo()
+      }
+    }
+
+    // the configured release stage can't be told from the default one, so it is
+    // only replaced by the one of the service name once a handler opts in to it
+    const useReleaseStageGuess = () => {
+      client._config.releaseStage = getReleaseStage(environment.info.service) || client._config.releaseStage
+    }
+
+    // enrichers describing the well-known event types, more can be added for
+    // custom event types with "addCloudEventEnricher"
+    const cloudEventEnrichers = [...builtInEnrichers]
+
+    // the delivery attempts of the events retried on failure
+    const attempts = createAttemptTracker()
+
+    // the work left to do when the instance is shut down
+    const shutdown = createShutdownHandler()
+
+    const createAggregator = ({ aggregateSessions, sessionFlushIntervalMs, sessionFlushThreshold, flushTimeoutMs }) => {
+      if (!aggregateSessions) {
+        return undefined
+      }
+
+      const aggregator = createSessionAggregator(client, {
+        intervalMs: sessionFlushIntervalMs,
+        threshold: sessionFlushThreshold,
+      })
+
+      shutdown.onShutdown(() => aggregator.flush() ? flush(client._logger, flushTimeoutMs) : undefined)
+
+      return aggregator
+    }
+
+    // the largest budget of the handlers flushing on shutdown
+    let shutdownTimeoutMs
 
-    if (appDurationPlugin) {
-      appDurationPlugin.reset()
+    const useShutdownFlush = timeoutMs => {
+      if (shutdownTimeoutMs === undefined) {
+        shutdown.onShutdown(signal => flushOnShutdown(client, lifecycle, signal, shutdownTimeoutMs), true)
+      }
+
+      shutdownTimeoutMs = Math.max(shutdownTimeoutMs || 0, timeoutMs)
     }
 
-    return {
-      createHttpHandler ({ flushTimeoutMs = FLUSH_TIMEOUT_MS } = {}) {
-        return wrapHttpHandler.bind(null, client, flushTimeoutMs)
+    // the errors already reported, e.g. by the error handler of
+    // @bugsnag/plugin-express, so the apps' final handler doesn't report these
+    // again. These are recorded before the callbacks run, as the error handlers
+    // pass on the error right away and the callbacks may be async
+    const reportedErrors = new WeakSet()
+
+    recordReportedErrors(client, reportedErrors)
+
+    // the clones of the client, e.g. the invocation clients, share its config
+    clone.registerCallback(clonedClient => {
+      if (clonedClient._config === client._config) {
+        recordReportedErrors(clonedClient, reportedErrors)
+      }
+    })
+
+    // the errors raised outside of the handler's promise are reported for the
+    // invocation which raised them, and flushed before the process exits
+    const crashHandler = createCrashHandler((name, err) => reportProcessError(client, lifecycle, reportedErrors, name, err))
+
+    const plugin = {
+      createHttpHandler ({
+        flushTimeoutMs = FLUSH_TIMEOUT_MS,
+        timeoutMs = getFunctionTimeoutMs(),
+        timeoutWarningMs = TIMEOUT_WARNING_MS,
+        enrichers = [],
+        metadataServer = false,
+        guessReleaseStage = false,
+        structuredLogging = false,
+        captureBreadcrumbs = false,
+        notifyOnStatus,
+        excludeStatuses = [],
+        allowedHeaders,
+        redactedHeaders = REDACTED_HEADERS,
+        captureBody = 'full',
+        maxBodySize = MAX_BODY_SIZE,
+        maxMetadataSize = MAX_METADATA_SIZE,
+        routes,
+        aggregateSessions = false,
+        sessionFlushIntervalMs = SESSION_FLUSH_INTERVAL_MS,
+        sessionFlushThreshold = SESSION_FLUSH_THRESHOLD,
+        flushOnShutdown = false,
+        shutdownTimeoutMs = SHUTDOWN_TIMEOUT_MS,
+        waitUntilTimeoutMs = WAIT_UNTIL_TIMEOUT_MS,
+        notifyClientAborts = false,
+        maxResponseWaitMs,
+      } = {}) {
+        enrichers.forEach(validateEnricher)
+        validateBodyMode(captureBody)
+
+        if (captureBreadcrumbs) {
+          installBreadcrumbs()
+        }
+
+        if (metadataServer) {
+          useMetadataServer()
+        }
+
+        if (guessReleaseStage) {
+          useReleaseStageGuess()
+        }
+
+        if (flushOnShutdown) {
+          useShutdownFlush(shutdownTimeoutMs)
+        }
+
+        return wrapHttpHandler.bind(null, client, {
+          flushTimeoutMs,
+          timeoutMs,
+          timeoutWarningMs,
+          enrichers,
+          lifecycle,
+          environment,
+          plugins,
+          structuredLogging,
+          captureBreadcrumbs,
+          shouldNotifyOnStatus: createStatusMatcher(notifyOnStatus, excludeStatuses),
+          resolveRoute: createRouteResolver(routes),
+          reportedErrors,
+          headerOptions: { allowedHeaders, redactedHeaders },
+          captureBody,
+          maxBodySize,
+          maxMetadataSize,
+          sessionAggregator: createAggregator({ aggregateSessions, sessionFlushIntervalMs, sessionFlushThreshold, flushTimeoutMs }),
+          shutdown,
+          crashHandler,
+          waitUntilTimeoutMs,
+          notifyClientAborts,
+          maxResponseWaitMs,
+        })
+      },
+      createCloudEventHandler ({
+        flushTimeoutMs = FLUSH_TIMEOUT_MS,
+        timeoutMs = getFunctionTimeoutMs(),
+        timeoutWarningMs = TIMEOUT_WARNING_MS,
+        enrichers = [],
+        metadataServer = false,
+        guessReleaseStage = false,
+        structuredLogging = false,
+        captureBreadcrumbs = false,
+        captureBody = 'full',
+        maxBodySize = MAX_BODY_SIZE,
+        maxMetadataSize = MAX_METADATA_SIZE,
+        redactedDataPaths = [],
+        notifyAttempts = 'all',
+        maxDeliveryAttempts,
+        maxEventAgeMs,
+        aggregateSessions = false,
+        sessionFlushIntervalMs = SESSION_FLUSH_INTERVAL_MS,
+        sessionFlushThreshold = SESSION_FLUSH_THRESHOLD,
+        flushOnShutdown = false,
+        shutdownTimeoutMs = SHUTDOWN_TIMEOUT_MS,
+        waitUntilTimeoutMs = WAIT_UNTIL_TIMEOUT_MS,
+      } = {}) {
+        enrichers.forEach(validateEnricher)
+        validateBodyMode(captureBody)
+        validateNotifyAttempts(notifyAttempts, maxDeliveryAttempts)
+
+        if (captureBreadcrumbs) {
+          installBreadcrumbs()
+        }
+
+        if (metadataServer) {
+          useMetadataServer()
+        }
+
+        if (guessReleaseStage) {
+          useReleaseStageGuess()
+        }
+
+        if (flushOnShutdown) {
+          useShutdownFlush(shutdownTimeoutMs)
+        }
+
+        return wrapCloudEventHandler.bind(null, client, {
+          flushTimeoutMs,
+          timeoutMs,
+          timeoutWarningMs,
+          enrichers,
+          cloudEventEnrichers,
+          lifecycle,
+          environment,
+          plugins,
+          structuredLogging,
+          captureBreadcrumbs,
+          captureBody,
+          maxBodySize,
+          maxMetadataSize,
+          redactedDataPaths,
+          attempts,
+          notifyAttempts,
+          maxDeliveryAttempts,
+          maxEventAgeMs,
+          sessionAggregator: createAggregator({ aggregateSessions, sessionFlushIntervalMs, sessionFlushThreshold, flushTimeoutMs }),
+          shutdown,
+          crashHandler,
+          waitUntilTimeoutMs,
+        })
+      },
+      createBackgroundHandler ({
+        flushTimeoutMs = FLUSH_TIMEOUT_MS,
+        timeoutMs = getFunctionTimeoutMs(),
+        timeoutWarningMs = TIMEOUT_WARNING_MS,
+        metadataServer = false,
+        guessReleaseStage = false,
+        structuredLogging = false,
+        captureBreadcrumbs = false,
+        captureBody = 'full',
+        maxBodySize = MAX_BODY_SIZE,
+        maxMetadataSize = MAX_METADATA_SIZE,
+        aggregateSessions = false,
+        sessionFlushIntervalMs = SESSION_FLUSH_INTERVAL_MS,
+        sessionFlushThreshold = SESSION_FLUSH_THRESHOLD,
+        flushOnShutdown = false,
+        shutdownTimeoutMs = SHUTDOWN_TIMEOUT_MS,
+        waitUntilTimeoutMs = WAIT_UNTIL_TIMEOUT_MS,
+      } = {}) {
+        validateBodyMode(captureBody)
+
+        if (captureBreadcrumbs) {
+          installBreadcrumbs()
+        }
+
+        if (metadataServer) {
+          useMetadataServer()
+        }
+
+        if (guessReleaseStage) {
+          useReleaseStageGuess()
+        }
+
+        if (flushOnShutdown) {
+          useShutdownFlush(shutdownTimeoutMs)
+        }
+
+        return wrapBackgroundHandler.bind(null, client, {
+          flushTimeoutMs,
+          timeoutMs,
+          timeoutWarningMs,
+          lifecycle,
+          environment,
+          plugins,
+          structuredLogging,
+          captureBreadcrumbs,
+          captureBody,
+          maxBodySize,
+          maxMetadataSize,
+          sessionAggregator: createAggregator({ aggregateSessions, sessionFlushIntervalMs, sessionFlushThreshold, flushTimeoutMs }),
+          shutdown,
+          crashHandler,
+          waitUntilTimeoutMs,
+        })
+      },
+      addCloudEventEnricher (enricher) {
+        validateEnricher(enricher)
+
+        cloudEventEnrichers.push(enricher)
       },
-      createCloudEventHandler ({ flushTimeoutMs = FLUSH_TIMEOUT_MS } = {}) {
-        return wrapCloudEventHandler.bind(null, client, flushTimeoutMs)
+      // the client of the invocation being executed, for the handlers which
+      // don't get it as an argument
+      getInvocationClient () {
+        const invocation = invocationContext.getStore()
+
+        return invocation ? invocation.client : undefined
+      },
+      // the work of the invocation being executed, outside of an invocation
+      // there is nothing to wait for
+      waitUntil (promise) {
+        const invocation = invocationContext.getStore()
+
+        if (invocation) {
+          waitUntil(invocation, promise)
+        }
+      },
+      instrumentFunctionsFramework (options) {
+        instrumentFunctionsFramework(plugin, options)
       },
     }
+
+    return plugin
   },
 }
 
-function wrapHttpHandler (client, flushTimeoutMs, handler) {
+function wrapHttpHandler (client, options, handler) {
+  // capture where the handler is wrapped, as the events for the response
+  // status have no stack of their own
+  const wrapStack = captureStack(wrapHttpHandler)
+
+  // apps are run with an error handling of their own
+  const runHandler = createHandlerRunner(client, options, handler)
+
   return function (req, res) {
-    client.addMetadata('request', getRequestInfo(req))
+    // clone the client to be scoped to this invocation, so concurrent requests
+    // served by the same instance don't share metadata, breadcrumbs or user
+    const invocationClient = clone(client)
+    invocationClient.addMetadata('request', getRequestInfo(req, options))
+    limitMetadataSize(invocationClient, options.maxMetadataSize)
+
+    // attach it to the request, the same way @bugsnag/plugin-express does
+    req.bugsnag = invocationClient
+
+    // requests are matched by their method and path
+    addEnrichers(invocationClient, options.enrichers.filter(enricher => enricher.match(req.method, req.path)), req)
+    addRouteContext(invocationClient, req, options.resolveRoute)
+
+    const invocation = {
+      client: invocationClient,
+      startedAt: Date.now(),
+      trace: getRequestTrace(req.headers),
+      captureBreadcrumbs: options.captureBreadcrumbs,
+      notifyUnhandled: true,
+      trigger: 'http',
+      backgroundWork: new Set(),
+      errorReported: false,
+    }
+
+    // the work carried on once the response is sent
+    req.waitUntil = promise => waitUntil(invocation, promise)
+
+    addTrace(invocation, options.environment)
+    startBreadcrumbs(invocation, { method: req.method, path: req.path })
+
+    // describe the response as it is when an event is raised, so it tells
+    // whether the client already got an answer
+    const getResponseInfo = trackResponse(res, invocation.startedAt, options.headerOptions)
+
+    invocationClient.addOnError(event => { event.addMetadata('response', getResponseInfo()) }, true)
+
+    // the platform closes the request once the function reaches its timeout,
+    // even when the timeout is not known, while the handler may keep running
+    res.once('close', () => {
+      if (!res.writableFinished && !res.errored && invocation.interrupt) {
+        invocation.interrupt('aborted')
+      }
+    })
 
     const _handler = async (req, res) => {
-      await handler(req, res)
-      await waitForStreamComplete(res)
+      await runHandler(invocation, req, res)
+
+      const outcome = await waitForResponse(res, options.maxResponseWaitMs)
+
+      if (outcome === 'aborted') {
+        if (client._config.autoDetectErrors && options.notifyClientAborts) {
+          notifyClientDisconnected(invocation, req, getResponseInfo(), options.resolveRoute)
+        }
+
+        return
+      }
+
+      // the handler may send an error response without throwing
+      if (!invocation.errorReported && client._config.autoDetectErrors && options.shouldNotifyOnStatus(res.statusCode, req, res)) {
+        notifyResponseStatus(invocation, req, res, wrapStack, options.resolveRoute)
+      }
+    }
+
+    return execute.call(null, client, invocation, options, _handler, req, res)
+  }
+}
+
+// Run plain functions as they are. Apps report the errors reaching their final
+// handler, which are otherwise turned into an error response by the framework
+function createHandlerRunner (client, options, handler) {
+  if (isKoaApp(handler)) {
+    const callback = handler.callback()
+
+    // listening once the callback is created keeps the default error logging
+    // of Koa, the errors are emitted in the async context of the request
+    handler.on('error', err => {
+      const invocation = invocationContext.getStore()
+
+      if (invocation) {
+        handleMiddlewareError(client, options, invocation, err, 'Koa')
+      }
+    })
+
+    return (invocation, req, res) => callback(req, res)
+  }
+
+  if (isConnectApp(handler)) {
+    return (invocation, req, res) => {
+      handler(req, res, err => {
+        if (err) {
+          handleMiddlewareError(client, options, invocation, err, 'Express/Connect')
+        }
+
+        sendFinalResponse(req, res, err)
+      })
     }
+  }
 
-    return execute.call(null, client, flushTimeoutMs, _handler, req, res)
+  return (invocation, req, res) => handler(req, res)
+}
+
+// The error response of an error which was reported, here or by
+// @bugsnag/plugin-express, is not reported again for its status
+function handleMiddlewareError (client, options, invocation, err, framework) {
+  if (options.reportedErrors.has(err)) {
+    invocation.errorReported = true
+  } else if (shouldNotifyMiddlewareError(client, options, err)) {
+    notifyMiddlewareError(invocation.client, err, framework)
+    invocation.errorReported = true
   }
 }
 
-function wrapCloudEventHandler (client, flushTimeoutMs, handler) {
+// Client errors, e.g. a 404 raised by http-errors, are responses rather than
+// failures of the function
+function shouldNotifyMiddlewareError (client, options, err) {
+  const status = err.status || err.statusCode
+
+  return client._config.autoDetectErrors &&
+    client._config.enabledErrorTypes.unhandledExceptions &&
+    !(status >= 400 && status < 500)
+}
+
+function notifyMiddlewareError (invocationClient, err, framework) {
+  const handledState = {
+    severity: 'error',
+    unhandled: true,
+    severityReason: { type: 'unhandledErrorMiddleware', attributes: { framework } },
+  }
+
+  const event = invocationClient.Event.create(err, true, handledState, PLUGIN_NAME, 1)
+
+  invocationClient._notify(event)
+}
+
+// Respond the way the final handler of Express does, with the status of the
+// error or a 404 when no route matched the request
+function sendFinalResponse (req, res, err) {
+  if (res.headersSent) {
+    // the response can't be fixed any more, so it is cut short
+    if (err) {
+      req.socket.destroy()
+    } else {
+      res.end()
+    }
+
+    return
+  }
+
+  const errorStatus = err && (err.status || err.statusCode)
+  const status = !err ? 404 : errorStatus >= 400 && errorStatus < 600 ? errorStatus : 500
+
+  const body = !err
+    ? `Cannot ${req.method} ${req.path}`
+    : process.env.NODE_ENV !== 'production' ? String(err.stack || err) : STATUS_CODES[status]
+
+  res.statusCode = status
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8')
+  res.setHeader('X-Content-Type-Options', 'nosniff')
+  res.end(body)
+}
+
+function wrapCloudEventHandler (client, options, handler) {
   let _handler = handler
 
   if (handler.length > 1) {
@@ -55,24 +550,336 @@ function wrapCloudEventHandler (client, flushTimeoutMs, handler) {
   }
 
   return function (cloudEvent) {
-    client.addMetadata('cloudevent', cloudEvent)
+    // each CloudEvent gets a client of its own, as each request does
+    const invocationClient = clone(client)
+
+    // the enrichers only see the redacted data, so the redacted fields don't
+    // show up in their tabs either
+    const redactedCloudEvent = options.redactedDataPaths.length > 0
+      ? { ...cloudEvent, data: redactPaths(cloudEvent.data, options.redactedDataPaths) }
+      : cloudEvent
+
+    invocationClient.addMetadata('cloudevent', {
+      ...redactedCloudEvent,
+      data: captureBody(redactedCloudEvent.data, options.captureBody, options.maxBodySize),
+    })
+    limitMetadataSize(invocationClient, options.maxMetadataSize)
+
+    // well-known event types are described in dedicated tabs before the
+    // handler's own enrichers run, so these can override the context
+    const enrichers = [...options.cloudEventEnrichers, ...options.enrichers]
+      .filter(enricher => enricher.match(cloudEvent.type, cloudEvent.source))
+
+    addEnrichers(invocationClient, enrichers, redactedCloudEvent)
+
+    // a failed event is delivered again when the function retries on failure
+    const delivery = {
+      attempt: options.attempts.start(cloudEvent),
+      deliveryAttempt: getDeliveryAttempt(cloudEvent),
+      eventAgeMs: getEventAgeMs(cloudEvent),
+    }
+
+    invocationClient.addMetadata('delivery', delivery)
+
+    const message = getPubSubMessage(cloudEvent)
+
+    if (message && delivery.deliveryAttempt !== undefined) {
+      addMessageGrouping(invocationClient, message)
+    }
+
+    const invocation = {
+      client: invocationClient,
+      startedAt: Date.now(),
+      trace: getCloudEventTrace(cloudEvent),
+      captureBreadcrumbs: options.captureBreadcrumbs,
+      notifyUnhandled: shouldNotifyAttempt(options, delivery.attempt),
+      trigger: cloudEvent.type,
+      backgroundWork: new Set(),
+    }
+
+    addTrace(invocation, options.environment)
+    startBreadcrumbs(invocation, { id: cloudEvent.id, type: cloudEvent.type, source: cloudEvent.source })
+
+    const context = { bugsnag: invocationClient, waitUntil: promise => waitUntil(invocation, promise) }
+
+    // an event too old to be handled is acknowledged, so it is not retried
+    // forever, and reported instead
+    const isExpired = options.maxEventAgeMs > 0 && delivery.eventAgeMs > options.maxEventAgeMs
+    let run = isExpired
+      ? () => notifyEventExpired(invocationClient, cloudEvent, delivery.eventAgeMs, options.maxEventAgeMs)
+      : _handler
+
+    // Pub/Sub forwards the message to the dead-letter topic once the last
+    // attempt fails
+    if (message && delivery.attempt >= options.maxDeliveryAttempts && !isExpired) {
+      run = async (..._arguments) => {
+        try {
+          return await _handler(..._arguments)
+        } catch (err) {
+          if (client._config.autoDetectErrors) {
+            notifyDeadLettered(invocationClient, message, delivery.attempt, err)
+          }
+
+          throw err
+        }
+      }
+    }
+
+    return execute.call(null, client, invocation, options, run, cloudEvent, context)
+      .then(result => {
+        options.attempts.complete(cloudEvent)
+
+        return result
+      })
+  }
+}
+
+// Wrap a background function of the 1st gen runtime, called with the event data
+// and its context (eventId, eventType, resource and timestamp), which completes
+// with its return value, a Promise or the callback
+function wrapBackgroundHandler (client, options, handler) {
+  return function (data, context = {}) {
+    // a client of its own for the event, as for a CloudEvent
+    const invocationClient = clone(client)
+    const resource = getResourceName(context.resource)
+
+    invocationClient.addMetadata('event', {
+      eventId: context.eventId,
+      eventType: context.eventType,
+      resource: context.resource,
+      timestamp: context.timestamp,
+      data: captureBody(data, options.captureBody, options.maxBodySize),
+    })
+    limitMetadataSize(invocationClient, options.maxMetadataSize)
+
+    invocationClient.addOnError(event => {
+      if (!event.context) {
+        event.context = resource || context.eventType
+      }
+    }, true)
+
+    const invocation = {
+      client: invocationClient,
+      startedAt: Date.now(),
+      trace: undefined,
+      captureBreadcrumbs: options.captureBreadcrumbs,
+      notifyUnhandled: true,
+      trigger: context.eventType,
+      backgroundWork: new Set(),
+    }
+
+    startBreadcrumbs(invocation, { eventId: context.eventId, eventType: context.eventType, resource })
+
+    // the context keeps its own properties, as the handler may pass it on
+    const backgroundContext = {
+      ...context,
+      bugsnag: invocationClient,
+      waitUntil: promise => waitUntil(invocation, promise),
+    }
+
+    const run = () => new Promise((resolve, reject) => {
+      if (handler.length > 2) {
+        const result = handler(data, backgroundContext, function (err, response) {
+          err
+            ? reject(err)
+            : resolve(response)
+        })
+
+        // the handler expects a callback but returns a Promise, the same as
+        // for the CloudEvent handlers
+        if (isPromise(result)) {
+          result.then(resolve, reject)
+        }
 
-    return execute.call(null, client, flushTimeoutMs, _handler, cloudEvent)
+        return
+      }
+
+      resolve(handler(data, backgroundContext))
+    })
+
+    return execute.call(null, client, invocation, options, run)
   }
 }
 
-async function execute (client, flushTimeoutMs, handler, ..._arguments) {
+// The resource is the name of the resource or, for the newer event types, an
+// object describing it
+function getResourceName (resource) {
+  return resource && typeof resource === 'object' ? resource.name : resource
+}
+
+// Notify the failures of every attempt, of the first one only, or of the final
+// one only, i.e. once the maximum delivery attempts are reached
+function shouldNotifyAttempt ({ notifyAttempts, maxDeliveryAttempts }, attempt) {
+  switch (notifyAttempts) {
+    case 'first':
+      return attempt === 1
+    case 'final':
+      return attempt >= maxDeliveryAttempts
+    default:
+      return true
+  }
+}
+
+function validateNotifyAttempts (notifyAttempts, maxDeliveryAttempts) {
+  if (!NOTIFY_ATTEMPTS.includes(notifyAttempts)) {
+    throw new TypeError(`notifyAttempts must be one of ${NOTIFY_ATTEMPTS.map(mode => `"${mode}"`).join(', ')}`)
+  }
+
+  if (notifyAttempts === 'final' && !(maxDeliveryAttempts > 0)) {
+    throw new TypeError('notifyAttempts "final" requires maxDeliveryAttempts')
+  }
+}
+
+// The Pub/Sub message of the CloudEvent, if it is a Pub/Sub message
+function getPubSubMessage (cloudEvent) {
+  if (!pubsubEnricher.match(cloudEvent.type, cloudEvent.source) || !cloudEvent.data || !cloudEvent.data.message) {
+    return undefined
+  }
+
+  const { message, subscription } = cloudEvent.data
+
+  return { id: message.messageId || message.message_id, subscription }
+}
+
+// Group the failures of a message delivered again and again together, so a
+// poison message shows up as one error
+function addMessageGrouping (invocationClient, message) {
+  invocationClient.addOnError(event => {
+    if (event.unhandled && !event.groupingHash) {
+      event.groupingHash = `pubsub ${message.subscription} ${message.id}`
+    }
+  })
+}
+
+function notifyDeadLettered (client, message, attempt, err) {
+  const handledState = {
+    severity: 'error',
+    unhandled: false,
+    severityReason: { type: 'handledException' },
+  }
+
+  const event = client.Event.create(new PubSubMessageDeadLettered(message, attempt), true, handledState, PLUGIN_NAME, 0)
+
+  event.groupingHash = `PubSubMessageDeadLettered ${message.subscription}`
+  event.addMetadata('deadLetter', {
+    messageId: message.id,
+    subscription: message.subscription,
+    attempts: attempt,
+    errorClass: err && err.name,
+    errorMessage: err && err.message,
+  })
+
+  client._notify(event)
+}
+
+function notifyEventExpired (client, cloudEvent, eventAgeMs, maxEventAgeMs) {
+  const handledState = {
+    severity: 'warning',
+    unhandled: false,
+    severityReason: { type: 'log' },
+  }
+
+  const event = client.Event.create(new CloudEventExpired(cloudEvent, eventAgeMs, maxEventAgeMs), true, handledState, PLUGIN_NAME, 0)
+
+  client._notify(event)
+}
+
+function execute (client, invocation, options, handler, ..._arguments) {
+  const run = () => executeInvocation(client, invocation, options, handler, ..._arguments)
+
+  return invocationContext.run(invocation, () => {
+    // @bugsnag/node provides an async context, run the invocation inside it so
+    // the Bugsnag static methods and the process-level error handlers use the
+    // invocation client rather than the shared one
+    return client._clientContext
+      ? client._clientContext.run(invocation.client, run)
+      : run()
+  })
+}
+
+async function executeInvocation (client, invocation, options, handler, ..._arguments) {
+  const { flushTimeoutMs, timeoutMs, timeoutWarningMs, lifecycle, environment, structuredLogging } = options
+  const invocationClient = invocation.client
+
+  // diagnostics are either logged by the client's logger or as structured
+  // logs joined with the trace of the invocation
+  const logger = structuredLogging
+    ? createStructuredLogger(invocation.trace, () => withProjectId(environment, projectId => projectId))
+    : client._logger
+
+  if (structuredLogging) {
+    logDeliveredEvents(invocationClient, logger)
+  }
+
+  // Reset the app duration between invocations, if the plugin is loaded
+  if (options.plugins.appDuration) {
+    options.plugins.appDuration.reset()
+  }
+
+  const functionInfo = startInvocation(lifecycle)
+
+  lifecycle.invocations.add(invocation)
+
+  invocationClient.addMetadata('function', functionInfo)
+  invocationClient.addOnSession(session => {
+    session.app.coldStart = functionInfo.coldStart
+    session.app.invocationNumber = functionInfo.invocationNumber
+    session.app.instanceUptimeMs = functionInfo.instanceUptimeMs
+  })
+
+  options.shutdown.install()
+  options.crashHandler.install()
+
+  // the session is sent once the outcome of the invocation is known
+  const sendSession = deferSession(invocationClient, options.sessionAggregator)
+  const getSessionStats = outcome => ({
+    invocationOutcome: outcome,
+    invocationDurationMs: Date.now() - invocation.startedAt,
+    trigger: invocation.trigger,
+    functionTarget: functionInfo.FUNCTION_TARGET,
+  })
+
+  let completed = false
+  let failed = false
+  let notifiedEvents = 0
+
+  invocationClient.addOnError(() => { notifiedEvents += 1 }, true)
+
+  // the instance is shut down or crashes before the invocation completes
+  invocation.interrupt = (outcome = 'shutdown') => sendSession(getSessionStats(completed ? getOutcome(invocationClient._session, failed) : outcome))
+  invocation.flush = () => flush(logger, flushTimeoutMs)
+
+  let timeoutWarning
+
+  // notify shortly before the function is killed by the platform, as nothing
+  // can be reported once the timeout is actually reached. The warning is never
+  // sent before half of the timeout has elapsed
+  if (timeoutMs > 0 && timeoutWarningMs > 0) {
+    const warningMs = Math.min(timeoutWarningMs, timeoutMs / 2)
+
+    timeoutWarning = setTimeout(
+      () => {
+        sendSession(getSessionStats('timeout'))
+
+        return notifyTimeoutApproaching(invocationClient, logger, Math.min(flushTimeoutMs, warningMs), warningMs)
+      },
+      timeoutMs - warningMs,
+    )
+  }
+
   // track sessions if autoTrackSessions is enabled and no server plugin is
   // loaded - the server plugins handle starting sessions automatically, so
   // we don't need to start one as well
-  if (client._config.autoTrackSessions && !isServerPluginLoaded(client)) {
-    client.startSession()
+  if (client._config.autoTrackSessions && !options.plugins.isServerPluginLoaded()) {
+    invocationClient.startSession()
   }
 
   try {
     return await handler(..._arguments)
   } catch (err) {
-    if (client._config.autoDetectErrors && client._config.enabledErrorTypes.unhandledExceptions) {
+    failed = true
+
+    if (client._config.autoDetectErrors && client._config.enabledErrorTypes.unhandledExceptions && invocation.notifyUnhandled) {
       const handledState = {
         severity: 'error',
         unhandled: true,
@@ -81,21 +888,514 @@ async function execute (client, flushTimeoutMs, handler, ..._arguments) {
 
       const event = client.Event.create(err, true, handledState, PLUGIN_NAME, 1)
 
-      client._notify(event)
+      invocationClient._notify(event)
     }
 
     throw err
   } finally {
-    try {
-      await BugsnagInFlightPlugin.flush(flushTimeoutMs)
-    } catch (err) {
-      client._logger.error(`Delivery may be unsuccessful: ${err.message}`)
+    // the function is still running until its background work settles
+    if (!await waitForBackgroundWork(invocation, options.waitUntilTimeoutMs)) {
+      logger.warn(`Background work did not complete within ${options.waitUntilTimeoutMs}ms`)
     }
+
+    completed = true
+    clearTimeout(timeoutWarning)
+
+    if (notifiedEvents === 0) {
+      // the outcome is already known, so the session is flushed with the events
+      sendSession(getSessionStats(getOutcome(invocationClient._session, failed)))
+      await flush(logger, flushTimeoutMs)
+    } else {
+      const flushed = await flush(logger, flushTimeoutMs)
+
+      // the events are only counted in the session once they are delivered, the
+      // session is not waited for when the delivery is already late
+      if (sendSession(getSessionStats(getOutcome(invocationClient._session, failed))) && flushed) {
+        await flush(logger, flushTimeoutMs)
+      }
+    }
+
+    lifecycle.invocations.delete(invocation)
+  }
+}
+
+// Keep the invocation going until the promise settles, so the work done in the
+// background, e.g. once the response is sent, is reported and flushed too. A
+// rejection is reported right away as an unhandled error of the invocation
+function waitUntil (invocation, promise) {
+  const work = Promise.resolve(promise).then(() => {}, err => {
+    const config = invocation.client._config
+
+    if (config.autoDetectErrors && config.enabledErrorTypes.unhandledRejections && invocation.notifyUnhandled) {
+      const handledState = {
+        severity: 'error',
+        unhandled: true,
+        severityReason: { type: 'unhandledPromiseRejection' },
+      }
+
+      const event = invocation.client.Event.create(err, true, handledState, PLUGIN_NAME, 1)
+
+      invocation.client._notify(event)
+    }
+  })
+
+  invocation.backgroundWork.add(work)
+  work.then(() => { invocation.backgroundWork.delete(work) })
+}
+
+// Wait for the background work, including the work started meanwhile. This
+// tells whether it all settled in time
+async function waitForBackgroundWork (invocation, timeoutMs) {
+  let timeout
+  const timedOut = new Promise(resolve => { timeout = setTimeout(resolve, timeoutMs, false) })
+
+  try {
+    while (invocation.backgroundWork.size > 0) {
+      const settled = await Promise.race([Promise.all(invocation.backgroundWork).then(() => true), timedOut])
+
+      if (!settled) {
+        return false
+      }
+    }
+
+    return true
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+// Hold the session of the invocation until its outcome is known. The session is
+// sent once, with the invocation stats added to its app, or counted by the
+// aggregator. This tells whether a request was sent
+function deferSession (invocationClient, aggregator) {
+  const delivery = invocationClient._delivery
+  let pending
+
+  invocationClient._delivery = {
+    sendEvent (payload, callback) {
+      delivery.sendEvent(payload, callback)
+    },
+    sendSession (payload, callback) {
+      pending = { payload, callback }
+    },
+  }
+
+  return stats => {
+    if (!pending) {
+      return false
+    }
+
+    const { payload, callback } = pending
+    const session = { ...payload, app: { ...payload.app, ...stats } }
+
+    pending = undefined
+
+    if (aggregator) {
+      aggregator.add(session)
+
+      return false
+    }
+
+    delivery.sendSession(session, callback)
+
+    return true
+  }
+}
+
+function getOutcome (session, failed) {
+  if (failed || (session && session._unhandled > 0)) {
+    return 'unhandledError'
+  }
+
+  return session && session._handled > 0 ? 'handledError' : 'success'
+}
+
+// Count the invocation and describe it, the first invocation served by the
+// instance is a cold start
+function startInvocation (lifecycle) {
+  lifecycle.invocationCount += 1
+
+  return {
+    coldStart: lifecycle.invocationCount === 1,
+    invocationNumber: lifecycle.invocationCount,
+    instanceUptimeMs: Date.now() - lifecycle.startedAt,
+    K_SERVICE: process.env.K_SERVICE,
+    K_REVISION: process.env.K_REVISION,
+    FUNCTION_TARGET: process.env.FUNCTION_TARGET,
+    FUNCTION_SIGNATURE_TYPE: process.env.FUNCTION_SIGNATURE_TYPE,
+  }
+}
+
+// Add the "cloudRun" tab, preferring the environment variables over the
+// metadata server, which also identifies the instance
+function addEnvironmentInfo (event, environmentInfo, metadataServerInfo = {}) {
+  const cloudRunInfo = {
+    service: environmentInfo.service,
+    revision: environmentInfo.revision,
+    configuration: environmentInfo.configuration,
+    region: environmentInfo.region || metadataServerInfo.region,
+    projectId: environmentInfo.projectId || metadataServerInfo.projectId,
+    instanceId: metadataServerInfo.instanceId,
+  }
+
+  if (Object.values(cloudRunInfo).some(value => value !== undefined)) {
+    event.addMetadata('cloudRun', cloudRunInfo)
+  }
+
+  if (metadataServerInfo.instanceId) {
+    event.device.hostname = metadataServerInfo.instanceId
+  }
+}
+
+// The invocation breadcrumbs start from a clean slate, so the breadcrumbs left
+// outside of the invocation don't show up in its timeline
+function startBreadcrumbs ({ client: invocationClient, captureBreadcrumbs }, metadata) {
+  if (!captureBreadcrumbs) {
+    return
+  }
+
+  invocationClient._breadcrumbs = []
+  invocationClient.leaveBreadcrumb('Invocation started', metadata, 'state')
+}
+
+// Correlate the events with the trace of the invocation and link to it
+function addTrace ({ client: invocationClient, trace }, environment) {
+  if (!trace) {
+    return
+  }
+
+  invocationClient.addOnError(event => {
+    event.setTraceCorrelation(trace.traceId, trace.spanId)
+
+    return withProjectId(environment, projectId => {
+      event.addMetadata('trace', getTraceInfo(trace, projectId))
+    })
+  }, true)
+}
+
+// Call the function with the project id from the environment variables or,
+// when it is queried, from the metadata server
+function withProjectId (environment, fn) {
+  if (environment.info.projectId || !environment.metadataServerInfo) {
+    return fn(environment.info.projectId)
+  }
+
+  return environment.metadataServerInfo.then(info => fn(info.projectId))
+}
+
+// Enrichers only run when an error is actually reported, so payloads are not
+// decoded for invocations that succeed
+function addEnrichers (invocationClient, enrichers, payload) {
+  if (enrichers.length === 0) {
+    return
+  }
+
+  invocationClient.addOnError(event => {
+    enrichers.forEach(enricher => { enricher.enrich(payload, event) })
+  }, true)
+}
+
+// Cap every tab of the events to the given serialized size, this runs after
+// the callbacks adding the tabs
+function limitMetadataSize (invocationClient, maxMetadataSize) {
+  invocationClient.addOnError(event => {
+    Object.keys(event._metadata).forEach(section => {
+      const metadata = event.getMetadata(section)
+      const limited = limitSize(metadata, maxMetadataSize)
+
+      if (limited !== metadata) {
+        event.clearMetadata(section)
+        event.addMetadata(section, limited)
+      }
+    })
+  })
+}
+
+function validateBodyMode (mode) {
+  if (!BODY_MODES.includes(mode)) {
+    throw new TypeError(`captureBody must be one of ${BODY_MODES.map(mode => `"${mode}"`).join(', ')}`)
+  }
+}
+
+function validateEnricher (enricher) {
+  if (!enricher || typeof enricher.match !== 'function' || typeof enricher.enrich !== 'function') {
+    throw new TypeError('enricher must be an object with "match" and "enrich" functions')
+  }
+}
+
+// Log every event delivered for the invocation, with an id added to the event
+// metadata so the logs and the event can be joined
+function logDeliveredEvents (invocationClient, logger) {
+  const delivery = invocationClient._delivery
+
+  invocationClient._delivery = {
+    sendEvent (payload, callback = () => {}) {
+      const event = payload.events[0]
+      const eventId = randomUUID()
+      const errorClass = event.errors[0] ? event.errors[0].errorClass : undefined
+
+      event.addMetadata('logging', { eventId })
+
+      delivery.sendEvent(payload, function (err) {
+        const labels = { 'bugsnag.eventId': eventId, 'bugsnag.errorClass': errorClass }
+
+        err
+          ? logger.error(`Event failed to send: ${err.message}`, labels)
+          : logger.info(`Event sent: ${errorClass}`, labels)
+
+        callback.apply(null, arguments)
+      })
+    },
+    sendSession (payload, callback) {
+      delivery.sendSession(payload, callback)
+    },
+  }
+}
+
+// Describe the shutdown on the events still to come, send the sessions of the
+// invocations which won't complete and wait for every delivery in flight
+function flushOnShutdown (client, lifecycle, signal, timeoutMs) {
+  const invocations = Array.from(lifecycle.invocations)
+  const shutdownInfo = {
+    signal,
+    receivedAt: new Date().toISOString(),
+    instanceUptimeMs: Date.now() - lifecycle.startedAt,
+    activeInvocations: invocations.length,
+  }
+
+  const clients = [client, ...invocations.map(invocation => invocation.client)]
+
+  clients.forEach(client => {
+    client.leaveBreadcrumb('Instance shutting down', { signal, activeInvocations: invocations.length }, 'state')
+    client.addMetadata('shutdown', shutdownInfo)
+  })
+
+  invocations.forEach(invocation => { invocation.interrupt() })
+
+  return flush(client._logger, timeoutMs)
+}
+
+// Record the errors as they are notified, before the callbacks of the event
+function recordReportedErrors (client, reportedErrors) {
+  const notify = client._notify
+
+  client._notify = function (event) {
+    if (event.originalError && typeof event.originalError === 'object') {
+      reportedErrors.add(event.originalError)
+    }
+
+    return notify.apply(this, arguments)
+  }
+}
+
+// Report a process-level error for the invocation in whose async context it was
+// raised, unless @bugsnag/node already did, and deliver it before the process
+// exits. The invocations killed with the process send their session too
+function reportProcessError (client, lifecycle, reportedErrors, name, err) {
+  const invocation = invocationContext.getStore()
+  const isException = name === 'uncaughtException'
+  const { autoDetectErrors, enabledErrorTypes } = client._config
+
+  if (
+    invocation &&
+    invocation.notifyUnhandled &&
+    autoDetectErrors &&
+    enabledErrorTypes[isException ? 'unhandledExceptions' : 'unhandledRejections'] &&
+    !reportedErrors.has(err)
+  ) {
+    const handledState = {
+      severity: 'error',
+      unhandled: true,
+      severityReason: { type: isException ? 'unhandledException' : 'unhandledPromiseRejection' },
+    }
+
+    const event = client.Event.create(err, true, handledState, PLUGIN_NAME, 1)
+
+    invocation.client._notify(event)
+  }
+
+  lifecycle.invocations.forEach(active => { active.interrupt(active === invocation ? 'unhandledError' : 'shutdown') })
+
+  return invocation ? invocation.flush() : flush(client._logger, FLUSH_TIMEOUT_MS)
+}
+
+async function flush (logger, flushTimeoutMs) {
+  try {
+    await BugsnagInFlightPlugin.flush(flushTimeoutMs)
+
+    return true
+  } catch (err) {
+    logger.error(`Delivery may be unsuccessful: ${err.message}`)
+
+    return false
+  }
+}
+
+function notifyTimeoutApproaching (client, logger, flushTimeoutMs, remainingMs) {
+  const handledState = {
+    severity: 'warning',
+    unhandled: false,
+    severityReason: { type: 'log' },
+  }
+
+  const event = client.Event.create(new FunctionTimeoutApproaching(remainingMs), true, handledState, PLUGIN_NAME, 0)
+
+  event.context = process.env.FUNCTION_TARGET || 'Function timeout approaching'
+
+  client._notify(event)
+
+  return flush(logger, flushTimeoutMs)
+}
+
+// Read the function timeout from the environment, this is only set by the
+// 1st gen runtime so the "timeoutMs" option has to be used otherwise
+function getFunctionTimeoutMs () {
+  const timeoutSec = parseFloat(process.env.FUNCTION_TIMEOUT_SEC)
+
+  return timeoutSec > 0 ? timeoutSec * 1000 : undefined
+}
+
+function notifyResponseStatus (invocation, req, res, stack, resolveRoute) {
+  const handledState = {
+    severity: 'error',
+    unhandled: false,
+    severityReason: { type: 'handledException' },
+  }
+
+  const route = getRoute(req, resolveRoute)
+  const error = new ResponseStatusError(`${req.method} ${route} responded with ${res.statusCode}`, stack)
+  const event = invocation.client.Event.create(error, false, handledState, PLUGIN_NAME, 0)
+
+  // these events all share the stack of the wrapped handler, so group them by
+  // endpoint and status instead
+  event.context = `${req.method} ${route}`
+  event.groupingHash = `${error.name} ${req.method} ${route} ${res.statusCode}`
+  event.addMetadata('response', {
+    statusCode: res.statusCode,
+    route,
+    durationMs: Date.now() - invocation.startedAt,
+  })
+
+  invocation.client._notify(event)
+}
+
+function notifyClientDisconnected (invocation, req, responseInfo, resolveRoute) {
+  const handledState = {
+    severity: 'warning',
+    unhandled: false,
+    severityReason: { type: 'log' },
   }
+
+  const route = getRoute(req, resolveRoute)
+  const error = new ClientDisconnected(req.method, route, responseInfo)
+  const event = invocation.client.Event.create(error, true, handledState, PLUGIN_NAME, 0)
+
+  event.context = `${req.method} ${route}`
+  event.groupingHash = `${error.name} ${req.method} ${route}`
+
+  invocation.client._notify(event)
 }
 
-function getRequestInfo (req) {
+// prefer the route pattern when the handler is routed (e.g. by express), the
+// Functions Framework itself routes every path to the function with "/*".
+// Otherwise the path is resolved with the "routes" option
+function getRoute (req, resolveRoute = path => path) {
+  return getRoutePattern(req) || resolveRoute(req.path, req) || req.path
+}
+
+function getRoutePattern (req) {
+  return req.route && typeof req.route.path === 'string' && !CATCH_ALL_ROUTES.includes(req.route.path)
+    ? `${req.baseUrl || ''}${req.route.path}`
+    : undefined
+}
+
+// Use the route as the context, so the events are filtered by endpoint. The
+// enrichers run after this so they can still override it
+function addRouteContext (invocationClient, req, resolveRoute) {
+  invocationClient.addOnError(event => {
+    if (!event.context) {
+      event.context = `${req.method} ${getRoute(req, resolveRoute)}`
+    }
+  }, true)
+}
+
+// Create a function resolving the route of a path, either from a list of route
+// templates, e.g. "/users/:id", or from a function normalising the path
+function createRouteResolver (routes) {
+  if (routes === undefined || routes === null) {
+    return path => path
+  }
+
+  if (typeof routes === 'function') {
+    return (path, req) => routes(path, req)
+  }
+
+  if (Array.isArray(routes) && routes.every(route => typeof route === 'string')) {
+    const templates = routes.map(route => ({ route, pattern: compileRouteTemplate(route) }))
+
+    return path => {
+      const template = templates.find(({ pattern }) => pattern.test(path))
+
+      return template ? template.route : path
+    }
+  }
+
+  throw new TypeError('routes must be a list of route templates or a function')
+}
+
+// ":name" matches a path segment and "*" matches the rest of the path
+function compileRouteTemplate (route) {
+  const pattern = route
+    .replace(/\/+$/, '')
+    .split('/')
+    .map(segment => {
+      if (segment === '*') {
+        return '.*'
+      }
+
+      return segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('/')
+
+  return new RegExp(`^${pattern}/?$`)
+}
+
+// Create a predicate for the statuses to notify, either from a [min, max]
+// range of statuses or from a predicate of the status, request and response
+function createStatusMatcher (notifyOnStatus, excludeStatuses) {
+  if (notifyOnStatus === undefined || notifyOnStatus === null) {
+    return () => false
+  }
+
+  if (typeof notifyOnStatus === 'function') {
+    return (statusCode, req, res) => !excludeStatuses.includes(statusCode) && Boolean(notifyOnStatus(statusCode, req, res))
+  }
+
+  if (Array.isArray(notifyOnStatus) && notifyOnStatus.length === 2 && notifyOnStatus.every(Number.isInteger)) {
+    const [min, max] = notifyOnStatus
+
+    return statusCode => statusCode >= min && statusCode <= max && !excludeStatuses.includes(statusCode)
+  }
+
+  throw new TypeError('notifyOnStatus must be a [min, max] range of statuses or a function')
+}
+
+// Capture the stack of the caller of the given function, without the message
+function captureStack (fn) {
+  const holder = {}
+
+  Error.captureStackTrace(holder, fn)
+
+  return holder.stack.split('\n').slice(1).join('\n')
+}
+
+function getRequestInfo (req, options) {
   const requestInfo = extractRequestInfo(req)
+
+  requestInfo.headers = filterHeaders(requestInfo.headers, options.headerOptions)
+  requestInfo.referer = requestInfo.headers.referer || requestInfo.headers.referrer
+  requestInfo.body = captureBody(requestInfo.body, options.captureBody, options.maxBodySize)
+
   // by default there is empty "0" parameter, so unset it
   if (typeof requestInfo.params === 'object' && 0 in requestInfo.params) {
     delete requestInfo.params[0]
@@ -108,47 +1408,71 @@ function getRequestInfo (req) {
   return requestInfo
 }
 
-function waitForStreamComplete (stream) {
+// Wait for the response to be sent, which tells whether it is "complete", was
+// "aborted" by the client or is still being sent after "maxWaitMs" ("timeout").
+// A response which failed on the server rejects with its error
+function waitForResponse (stream, maxWaitMs) {
   if (stream.writableEnded) {
-    return stream
+    return 'complete'
+  }
+
+  // the response failed on the server, e.g. a body piped from a failing stream
+  if (stream.errored) {
+    throw stream.errored
+  }
+
+  // the connection is already closed
+  if (stream.destroyed) {
+    return 'aborted'
   }
 
   return new Promise((resolve, reject) => {
     stream.once('error', complete)
     stream.once('end', complete)
     stream.once('finish', complete)
+    stream.once('close', complete)
 
     let isComplete = false
 
-    function complete (err) {
+    // a long-lived response, e.g. server-sent events, is not waited for
+    // forever. The errors it raises later on are still reported
+    const timeout = maxWaitMs > 0 ? setTimeout(() => { complete(undefined, 'timeout') }, maxWaitMs) : undefined
+
+    function complete (err, outcome) {
       if (isComplete) {
         return
       }
 
       isComplete = true
 
+      clearTimeout(timeout)
       stream.removeListener('error', complete)
       stream.removeListener('end', complete)
       stream.removeListener('finish', complete)
+      stream.removeListener('close', complete)
 
-      if (err) {
-        reject(err)
+      if (err || stream.errored) {
+        reject(err || stream.errored)
       } else {
-        resolve(stream)
+        resolve(outcome || (stream.writableFinished ? 'complete' : 'aborted'))
       }
     }
   })
 }
 
-// Convert a handler that uses callbacks to an async handler
+// Convert a handler that uses callbacks to an async handler. The context is
+// merged into the callback, so handlers expecting a context as the second
+// argument work the same way as handlers expecting a 'callback' argument
 function promisifyHandler (handler) {
-  return function (cloudEvent) {
+  return function (cloudEvent, context) {
     return new Promise(function (resolve, reject) {
-      const result = handler(cloudEvent, function (err, response) {
+      const callback = Object.assign(function (err, response) {
         err
           ? reject(err)
           : resolve(response)
-      })
+      }, context)
+
+      const result = handler(cloudEvent, callback)
 
       // Handle an edge case where the passed handler has the callback parameter
       // but actually returns a promise. In this case we need to resolve/reject
@@ -166,6 +1490,51 @@ function isPromise (value) {
     typeof value.catch === 'function'
 }
 
+class ResponseStatusError extends Error {
+  constructor (message, stack) {
+    super(message)
+
+    this.name = 'ResponseStatusError'
+    this.stack = `${this.name}: ${message}\n${stack}`
+  }
+}
+
+class ClientDisconnected extends Error {
+  constructor (method, route, { durationMs, bytesWritten }) {
+    super(`Client disconnected from ${method} ${route} after ${durationMs}ms, ${bytesWritten} bytes sent`)
+
+    this.name = 'ClientDisconnected'
+    this.stack = []
+  }
+}
+
+class FunctionTimeoutApproaching extends Error {
+  constructor (remainingMs) {
+    super(`Function will timeout in ${remainingMs}ms`)
+
+    this.name = 'FunctionTimeoutApproaching'
+    this.stack = []
+  }
+}
+
+class PubSubMessageDeadLettered extends Error {
+  constructor (message, attempt) {
+    super(`Message ${message.id} sent to the dead-letter topic after ${attempt} delivery attempts`)
+
+    this.name = 'PubSubMessageDeadLettered'
+    this.stack = []
+  }
+}
+
+class CloudEventExpired extends Error {
+  constructor (cloudEvent, eventAgeMs, maxEventAgeMs) {
+    super(`Dropped CloudEvent ${cloudEvent.id} of type ${cloudEvent.type}, ${eventAgeMs}ms old (max ${maxEventAgeMs}ms)`)
+
+    this.name = 'CloudEventExpired'
+    this.stack = []
+  }
+}
+
 module.exports = BugsnagPluginCloudRunFunctions
 
 // add a default export for ESM modules without interop
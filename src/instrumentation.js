@@ -0,0 +1,48 @@
+const path = require('node:path')
+
+// the registration functions of the Functions Framework, and the handler each
+// registered function is wrapped with. The legacy background functions are
+// exported rather than registered, so these have to be wrapped by hand
+const REGISTRATIONS = {
+  http: 'createHttpHandler',
+  cloudEvent: 'createCloudEventHandler',
+}
+
+// Patch the registration functions of the Functions Framework, so every function
+// registered from now on is wrapped with the handler of its signature type. The
+// options of a function are merged over the ones of its signature type, a
+// function configured with "false" is registered as it is
+function instrumentFunctionsFramework (plugin, { functions = {}, ...defaults } = {}, registry = loadFunctionRegistry()) {
+  Object.keys(REGISTRATIONS).forEach(type => {
+    // instrumenting again replaces the options
+    const register = registry[type] && (registry[type]._original || registry[type])
+
+    if (typeof register !== 'function') {
+      return
+    }
+
+    const instrumented = function (functionName, handler) {
+      const options = functions[functionName]
+
+      if (options === false) {
+        return register.call(this, functionName, handler)
+      }
+
+      return register.call(this, functionName, plugin[REGISTRATIONS[type]]({ ...defaults[type], ...options })(handler))
+    }
+
+    instrumented._original = register
+    registry[type] = instrumented
+  })
+}
+
+// The functions exported by the Functions Framework are getters, so the module
+// they are read from is patched instead. The framework is resolved from the
+// function source first, which is the copy used by the function
+function loadFunctionRegistry () {
+  const main = require.resolve('@google-cloud/functions-framework', { paths: [process.cwd(), __dirname] })
+
+  return require(path.join(path.dirname(main), 'function_registry'))
+}
+
+module.exports = instrumentFunctionsFramework
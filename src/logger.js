@@ -0,0 +1,51 @@
+const SEVERITIES = {
+  debug: 'DEBUG',
+  info: 'INFO',
+  warn: 'WARNING',
+  error: 'ERROR',
+}
+
+// Create a logger writing JSON lines understood by Cloud Logging, with the
+// trace of the invocation so the diagnostics show up alongside its logs. The
+// project id is required to reference the trace and may be resolved later
+function createStructuredLogger (trace, getProjectId, write = writeLine) {
+  const log = (severity, message, labels) => {
+    const entry = {
+      severity,
+      message: `[bugsnag] ${message}`,
+      'logging.googleapis.com/labels': labels,
+    }
+
+    const writeEntry = projectId => {
+      if (trace && projectId) {
+        entry['logging.googleapis.com/trace'] = `projects/${projectId}/traces/${trace.traceId}`
+        entry['logging.googleapis.com/spanId'] = trace.spanId
+        entry['logging.googleapis.com/trace_sampled'] = trace.sampled
+      }
+
+      write(JSON.stringify(entry))
+    }
+
+    const projectId = getProjectId()
+
+    if (projectId && typeof projectId.then === 'function') {
+      projectId.then(writeEntry)
+    } else {
+      writeEntry(projectId)
+    }
+  }
+
+  return Object.keys(SEVERITIES).reduce((logger, level) => {
+    logger[level] = (message, labels) => log(SEVERITIES[level], message, labels)
+
+    return logger
+  }, {})
+}
+
+// write to stdout directly rather than through the console, which would be
+// captured as breadcrumbs
+function writeLine (line) {
+  process.stdout.write(`${line}\n`)
+}
+
+module.exports = createStructuredLogger
@@ -0,0 +1,90 @@
+// A minimal reader for the protobuf wire format, just enough to decode the
+// well-known event payloads without depending on the generated classes
+
+const WIRE_TYPE_VARINT = 0
+const WIRE_TYPE_FIXED64 = 1
+const WIRE_TYPE_LENGTH_DELIMITED = 2
+const WIRE_TYPE_FIXED32 = 5
+
+// Read the fields of a message as a list of { number, wireType, value }, where
+// the value is a BigInt for varints, a Buffer for fixed and length-delimited
+// fields, so it can be interpreted according to the message schema
+function readFields (buffer) {
+  const fields = []
+  let offset = 0
+
+  while (offset < buffer.length) {
+    const [key, keyLength] = readVarint(buffer, offset)
+    offset += keyLength
+
+    const number = Number(key >> 3n)
+    const wireType = Number(key & 7n)
+    let value
+
+    switch (wireType) {
+      case WIRE_TYPE_VARINT: {
+        const [varint, length] = readVarint(buffer, offset)
+        value = varint
+        offset += length
+        break
+      }
+      case WIRE_TYPE_FIXED64:
+        value = buffer.subarray(offset, offset + 8)
+        offset += 8
+        break
+      case WIRE_TYPE_LENGTH_DELIMITED: {
+        const [size, length] = readVarint(buffer, offset)
+        offset += length
+        value = buffer.subarray(offset, offset + Number(size))
+        offset += Number(size)
+        break
+      }
+      case WIRE_TYPE_FIXED32:
+        value = buffer.subarray(offset, offset + 4)
+        offset += 4
+        break
+      default:
+        throw new Error(`Unsupported protobuf wire type ${wireType}`)
+    }
+
+    if (offset > buffer.length) {
+      throw new Error('Unexpected end of protobuf message')
+    }
+
+    fields.push({ number, wireType, value })
+  }
+
+  return fields
+}
+
+function readVarint (buffer, offset) {
+  let result = 0n
+  let shift = 0n
+  let length = 0
+
+  while (true) {
+    if (offset + length >= buffer.length) {
+      throw new Error('Unexpected end of protobuf varint')
+    }
+
+    const byte = buffer[offset + length]
+    result |= BigInt(byte & 0x7f) << shift
+    length += 1
+
+    if ((byte & 0x80) === 0) {
+      return [result, length]
+    }
+
+    shift += 7n
+  }
+}
+
+// int64 values are encoded as two's complement varints
+function toInt64 (varint) {
+  return BigInt.asIntN(64, varint)
+}
+
+module.exports = {
+  readFields,
+  toInt64,
+}
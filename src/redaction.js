@@ -0,0 +1,180 @@
+const REDACTED = '[REDACTED]'
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie']
+const BODY_MODES = ['none', 'truncated', 'full']
+
+// room kept for the marker of the fields dropped from an object or an array
+const TRUNCATION_MARKER_SIZE = 40
+
+// Keep the allowed headers only, if any, and redact the values of the denied
+// ones. Header names are case insensitive
+function filterHeaders (headers, { allowedHeaders, redactedHeaders = REDACTED_HEADERS } = {}) {
+  if (!headers) {
+    return headers
+  }
+
+  const allowed = allowedHeaders && allowedHeaders.map(name => name.toLowerCase())
+  const redacted = redactedHeaders.map(name => name.toLowerCase())
+
+  return Object.keys(headers).reduce((filtered, name) => {
+    const lowerCaseName = name.toLowerCase()
+
+    if (!allowed || allowed.includes(lowerCaseName)) {
+      filtered[name] = redacted.includes(lowerCaseName) ? REDACTED : headers[name]
+    }
+
+    return filtered
+  }, {})
+}
+
+// Capture a request body or an event data according to the body mode
+function captureBody (body, mode, maxBodySize) {
+  if (mode === 'none' || body === undefined) {
+    return undefined
+  }
+
+  if (mode === 'full') {
+    return body
+  }
+
+  // binary bodies are kept as text, the same as the decoded Pub/Sub payloads
+  return limitSize(Buffer.isBuffer(body) ? body.toString('utf8') : body, maxBodySize)
+}
+
+// Redact the values at the given dot-separated paths, "*" matches any key or
+// array index. The value is copied, only the redacted branches are cloned
+function redactPaths (value, paths) {
+  return paths.reduce((redacted, path) => redactPath(redacted, path.split('.')), value)
+}
+
+function redactPath (value, segments) {
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+    return value
+  }
+
+  const [segment, ...rest] = segments
+  const keys = segment === '*' ? Object.keys(value) : [segment].filter(key => key in value)
+
+  if (keys.length === 0) {
+    return value
+  }
+
+  const copy = Array.isArray(value) ? [...value] : { ...value }
+
+  keys.forEach(key => {
+    copy[key] = rest.length === 0 ? REDACTED : redactPath(value[key], rest)
+  })
+
+  return copy
+}
+
+// Fit a value in the given serialized size: the strings are cut and the
+// fields which don't fit any more are dropped, both leaving a marker behind
+function limitSize (value, maxSize) {
+  const serialized = serialize(value)
+
+  if (serialized === undefined || serialized.length <= maxSize) {
+    return value
+  }
+
+  return fit(JSON.parse(serialized), maxSize)
+}
+
+function fit (value, maxSize) {
+  const size = JSON.stringify(value).length
+
+  if (size <= maxSize) {
+    return value
+  }
+
+  if (typeof value === 'string') {
+    const marker = `…(truncated ${value.length} characters)`
+    const length = Math.max(maxSize - marker.length - 2, 0)
+
+    return `${value.slice(0, length)}…(truncated ${value.length - length} characters)`
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+
+  const isArray = Array.isArray(value)
+  const fields = {}
+  let remaining = maxSize - 2 - TRUNCATION_MARKER_SIZE
+
+  // the budget is shared between the fields, the smallest first so what they
+  // leave goes to the larger ones and these don't push out the small ones.
+  // The items of an array are kept in order instead
+  const entries = Object.keys(value).map(key => ({ key, size: JSON.stringify(value[key]).length }))
+
+  if (!isArray) {
+    entries.sort((a, b) => a.size - b.size)
+  }
+
+  entries.forEach(({ key, size }, index) => {
+    // the key, its quotes, the colon and the comma
+    const overhead = isArray ? 1 : key.length + 4
+    const share = Math.floor(remaining / (entries.length - index))
+    const budget = Math.min(Math.max(share, TRUNCATION_MARKER_SIZE * 2), remaining) - overhead
+
+    // a field is only cut when what is left of it is still meaningful
+    if (size > budget && budget < TRUNCATION_MARKER_SIZE) {
+      return
+    }
+
+    fields[key] = fit(value[key], budget)
+    remaining -= overhead + JSON.stringify(fields[key]).length
+  })
+
+  // the fields keep their order
+  const keys = Object.keys(value).filter(key => key in fields)
+  const fitted = isArray ? keys.map(key => fields[key]) : keys.reduce((fitted, key) => ({ ...fitted, [key]: fields[key] }), {})
+  const dropped = Object.keys(value).length - keys.length
+
+  if (dropped > 0) {
+    const marker = `…(truncated ${dropped} ${isArray ? 'item' : 'field'}${dropped === 1 ? '' : 's'})`
+
+    if (isArray) {
+      fitted.push(marker)
+    } else {
+      fitted['…'] = marker
+    }
+  }
+
+  return fitted
+}
+
+// JSON serialization which tolerates the circular references and the bigints.
+// Only the ancestors of a value make a cycle, an object referenced twice isn't
+function serialize (value) {
+  const ancestors = []
+
+  return JSON.stringify(value, function (key, value) {
+    // the holder is the object being serialized, the ones after it are done
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+      ancestors.pop()
+    }
+
+    if (typeof value === 'bigint') {
+      return value.toString()
+    }
+
+    if (value && typeof value === 'object') {
+      if (ancestors.includes(value)) {
+        return '[Circular]'
+      }
+
+      ancestors.push(value)
+    }
+
+    return value
+  })
+}
+
+module.exports = {
+  BODY_MODES,
+  REDACTED_HEADERS,
+  filterHeaders,
+  captureBody,
+  redactPaths,
+  limitSize,
+}
@@ -0,0 +1,93 @@
+const { filterHeaders } = require('./redaction')
+
+// Track what the function sends back: when the headers are sent, how many
+// bytes are written and when the response finishes or is aborted by the
+// client. The headers are filtered the same way as the request headers
+function trackResponse (res, startedAt, headerOptions) {
+  const tracking = {
+    timeToFirstByteMs: undefined,
+    durationMs: undefined,
+    bytesWritten: 0,
+    streaming: false,
+    aborted: false,
+  }
+
+  // writeHead is called for the implicit headers too, on the first write
+  const writeHead = res.writeHead
+
+  res.writeHead = function () {
+    if (tracking.timeToFirstByteMs === undefined) {
+      tracking.timeToFirstByteMs = Date.now() - startedAt
+    }
+
+    const result = writeHead.apply(this, arguments)
+
+    tracking.streaming = isStreaming(res)
+
+    return result
+  }
+
+  const write = res.write
+
+  res.write = function (chunk, encoding) {
+    tracking.bytesWritten += getByteLength(chunk, encoding)
+
+    return write.apply(this, arguments)
+  }
+
+  const end = res.end
+
+  res.end = function (chunk, encoding) {
+    if (typeof chunk !== 'function') {
+      tracking.bytesWritten += getByteLength(chunk, encoding)
+    }
+
+    return end.apply(this, arguments)
+  }
+
+  res.once('finish', () => {
+    tracking.durationMs = Date.now() - startedAt
+  })
+
+  // the connection is closed before the response is complete, rather than the
+  // response failing on the server
+  res.once('close', () => {
+    tracking.aborted = !res.writableFinished && !res.errored
+  })
+
+  return function getResponseInfo () {
+    return {
+      statusCode: res.headersSent ? res.statusCode : undefined,
+      headersSent: res.headersSent,
+      finished: res.writableFinished,
+      streaming: tracking.streaming,
+      aborted: tracking.aborted,
+      headers: res.headersSent ? filterHeaders(res.getHeaders(), headerOptions) : undefined,
+      bytesWritten: tracking.bytesWritten,
+      timeToFirstByteMs: tracking.timeToFirstByteMs,
+      durationMs: tracking.durationMs !== undefined ? tracking.durationMs : Date.now() - startedAt,
+    }
+  }
+}
+
+// The headers of a streamed response are sent before its body is complete, so
+// it has no length and is chunked, e.g. server-sent events
+function isStreaming (res) {
+  const contentType = String(res.getHeader('content-type') || '')
+
+  return contentType.startsWith('text/event-stream') || res.chunkedEncoding === true
+}
+
+function getByteLength (chunk, encoding) {
+  if (!chunk) {
+    return 0
+  }
+
+  if (typeof chunk === 'string') {
+    return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+  }
+
+  return chunk.length || 0
+}
+
+module.exports = trackResponse
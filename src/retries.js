@@ -0,0 +1,54 @@
+// the events being retried by the instance, the oldest are forgotten first
+const MAX_TRACKED_EVENTS = 1000
+
+// Count the delivery attempts of the CloudEvents served by the instance. The
+// retries of an event have the same id and source, but may be served by other
+// instances, so the Pub/Sub delivery attempt is preferred when it is known
+function createAttemptTracker () {
+  const attempts = new Map()
+
+  return {
+    start (cloudEvent) {
+      const key = getEventKey(cloudEvent)
+      const attempt = (attempts.get(key) || 0) + 1
+
+      attempts.delete(key)
+      attempts.set(key, attempt)
+
+      if (attempts.size > MAX_TRACKED_EVENTS) {
+        attempts.delete(attempts.keys().next().value)
+      }
+
+      return Math.max(attempt, getDeliveryAttempt(cloudEvent) || 0)
+    },
+    // the event is acknowledged, so it won't be delivered again
+    complete (cloudEvent) {
+      attempts.delete(getEventKey(cloudEvent))
+    },
+  }
+}
+
+function getEventKey (cloudEvent) {
+  return `${cloudEvent.source} ${cloudEvent.id}`
+}
+
+// Pub/Sub only counts the delivery attempts of subscriptions with a dead-letter
+// topic, the field is missing otherwise
+function getDeliveryAttempt (cloudEvent) {
+  const data = cloudEvent.data || {}
+  const deliveryAttempt = data.deliveryAttempt || (data.message && data.message.deliveryAttempt)
+
+  return Number.isInteger(deliveryAttempt) ? deliveryAttempt : undefined
+}
+
+function getEventAgeMs (cloudEvent, now = Date.now()) {
+  const time = Date.parse(cloudEvent.time)
+
+  return Number.isNaN(time) ? undefined : Math.max(now - time, 0)
+}
+
+module.exports = {
+  createAttemptTracker,
+  getDeliveryAttempt,
+  getEventAgeMs,
+}
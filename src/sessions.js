@@ -0,0 +1,78 @@
+// Count the sessions of the invocations per minute rather than sending one per
+// invocation, the counts are sent in one payload once in a while
+function createSessionAggregator (client, { intervalMs, threshold }) {
+  let summary = createSummary()
+  let timer
+
+  const flush = () => {
+    clearTimeout(timer)
+    timer = undefined
+
+    if (summary.sessionsStarted === 0) {
+      return false
+    }
+
+    const { app, device, sessionCounts, invocationOutcomes, coldStarts, sessionsStarted, durationMs } = summary
+
+    summary = createSummary()
+
+    client._delivery.sendSession({
+      notifier: client._notifier,
+      device,
+      app: {
+        releaseStage: app.releaseStage,
+        version: app.version,
+        type: app.type,
+        functionTarget: app.functionTarget,
+        invocationOutcomes,
+        coldStarts,
+        averageInvocationDurationMs: Math.round(durationMs / sessionsStarted),
+      },
+      sessionCounts: Array.from(sessionCounts, ([startedAt, sessionsStarted]) => ({ startedAt, sessionsStarted })),
+    })
+
+    return true
+  }
+
+  return {
+    add (payload) {
+      const { app, device, sessions } = payload
+
+      sessions.forEach(session => {
+        const minute = new Date(Math.floor(new Date(session.startedAt).getTime() / 60000) * 60000).toISOString()
+
+        summary.sessionCounts.set(minute, (summary.sessionCounts.get(minute) || 0) + 1)
+        summary.sessionsStarted += 1
+      })
+
+      summary.app = app
+      summary.device = device
+      summary.invocationOutcomes[app.invocationOutcome] = (summary.invocationOutcomes[app.invocationOutcome] || 0) + 1
+      summary.coldStarts += app.coldStart ? 1 : 0
+      summary.durationMs += app.invocationDurationMs || 0
+
+      if (summary.sessionsStarted >= threshold) {
+        flush()
+      } else if (!timer) {
+        timer = setTimeout(flush, intervalMs)
+        // don't keep the instance alive for the sessions
+        timer.unref()
+      }
+    },
+    flush,
+  }
+}
+
+function createSummary () {
+  return {
+    app: {},
+    device: {},
+    sessionCounts: new Map(),
+    sessionsStarted: 0,
+    invocationOutcomes: {},
+    coldStarts: 0,
+    durationMs: 0,
+  }
+}
+
+module.exports = createSessionAggregator
@@ -0,0 +1,46 @@
+const SIGNAL = 'SIGTERM'
+
+// Run the callbacks when the instance is shut down, then pass the signal on to
+// the listeners installed before, e.g. the one of the Functions Framework which
+// exits right away and would not let the callbacks complete
+function createShutdownHandler (target = process) {
+  const callbacks = []
+  let installed = false
+
+  return {
+    // the callbacks added to the front are started first
+    onShutdown (callback, front = false) {
+      if (front) {
+        callbacks.unshift(callback)
+      } else {
+        callbacks.push(callback)
+      }
+    },
+    // the listeners are only known once the server is started, so this is
+    // installed on the first invocation
+    install () {
+      if (installed || callbacks.length === 0) {
+        return
+      }
+
+      installed = true
+
+      const listeners = target.listeners(SIGNAL)
+
+      listeners.forEach(listener => { target.removeListener(SIGNAL, listener) })
+
+      target.once(SIGNAL, async signal => {
+        await Promise.all(callbacks.map(callback => Promise.resolve().then(() => callback(signal)).catch(() => {})))
+
+        listeners.forEach(listener => { listener.call(target, signal) })
+
+        // with no other listener, the signal terminates the process as usual
+        if (target.listenerCount(SIGNAL) === 0 && listeners.length === 0) {
+          target.kill(target.pid, signal)
+        }
+      })
+    },
+  }
+}
+
+module.exports = createShutdownHandler
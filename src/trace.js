@@ -0,0 +1,75 @@
+const TRACEPARENT_REGEX = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/
+const CLOUD_TRACE_CONTEXT_REGEX = /^([0-9a-f]{32})(?:\/(\d+))?(?:;o=([01]))?$/i
+const INVALID_TRACE_ID = '0'.repeat(32)
+const INVALID_SPAN_ID = '0'.repeat(16)
+
+// Parse a W3C "traceparent" header, e.g.
+// "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+function parseTraceparent (traceparent) {
+  const match = TRACEPARENT_REGEX.exec(typeof traceparent === 'string' ? traceparent.trim() : '')
+
+  if (!match || match[1] === 'ff' || match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID) {
+    return undefined
+  }
+
+  return {
+    traceId: match[2],
+    spanId: match[3],
+    sampled: (parseInt(match[4], 16) & 1) === 1,
+  }
+}
+
+// Parse a "X-Cloud-Trace-Context" header, e.g.
+// "4bf92f3577b34da6a3ce929d0e0e4736/1234567890;o=1", where the span id is a
+// decimal number that is converted to hex to match the W3C format
+function parseCloudTraceContext (cloudTraceContext) {
+  const match = CLOUD_TRACE_CONTEXT_REGEX.exec(typeof cloudTraceContext === 'string' ? cloudTraceContext.trim() : '')
+
+  if (!match || match[1] === INVALID_TRACE_ID) {
+    return undefined
+  }
+
+  let spanId
+
+  try {
+    spanId = match[2] ? BigInt.asUintN(64, BigInt(match[2])).toString(16).padStart(16, '0') : undefined
+  } catch (err) {}
+
+  return {
+    traceId: match[1].toLowerCase(),
+    spanId: spanId === INVALID_SPAN_ID ? undefined : spanId,
+    sampled: match[3] === '1',
+  }
+}
+
+// Read the trace of a request, preferring the W3C "traceparent" header
+function getRequestTrace (headers) {
+  return parseTraceparent(headers.traceparent) || parseCloudTraceContext(headers['x-cloud-trace-context'])
+}
+
+// Read the trace of a CloudEvent from the "traceparent" extension attribute
+function getCloudEventTrace (cloudEvent) {
+  return parseTraceparent(cloudEvent.traceparent)
+}
+
+// Describe the trace with links to the Cloud Trace and Logs Explorer pages of
+// the project, when the project is known
+function getTraceInfo (trace, projectId) {
+  const traceInfo = { ...trace }
+
+  if (projectId) {
+    const project = encodeURIComponent(projectId)
+    const query = encodeURIComponent(`trace="projects/${projectId}/traces/${trace.traceId}"`)
+
+    traceInfo.traceUrl = `https://console.cloud.google.com/traces/list?tid=${trace.traceId}&project=${project}`
+    traceInfo.logsUrl = `https://console.cloud.google.com/logs/query;query=${query}?project=${project}`
+  }
+
+  return traceInfo
+}
+
+module.exports = {
+  getRequestTrace,
+  getCloudEventTrace,
+  getTraceInfo,
+}
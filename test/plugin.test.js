@@ -6,6 +6,15 @@ const { getTestServer } = require('@google-cloud/functions-framework/testing')
 const request = require('supertest')
 const sinon = require('sinon')
 const util = require('node:util')
+const { AsyncLocalStorage } = require('node:async_hooks')
+const http = require('node:http')
+const path = require('node:path')
+const { EventEmitter } = require('node:events')
+const { Readable, pipeline } = require('node:stream')
+const express = require('express')
+const BugsnagPluginExpress = require('@bugsnag/plugin-express')
+const Bugsnag = require('@bugsnag/node')
+const BugsnagInFlightPlugin = require('@bugsnag/in-flight')
 
 const cloudEvent = {
   'id': '4df34f10-6ede-468d-9515-4ddd5ee26d56',
@@ -17,6 +26,50 @@ const cloudEvent = {
   'data': { 'key': 'value' },
 }
 
+const pubsubCloudEvent = {
+  'id': '12837474935731426',
+  'time': '2024-10-14T10:13:10.178Z',
+  'type': 'google.cloud.pubsub.topic.v1.messagePublished',
+  'source': '//pubsub.googleapis.com/projects/my-project/topics/my-topic',
+  'specversion': '1.0',
+  'datacontenttype': 'application/json',
+  'data': {
+    'message': {
+      'data': Buffer.from(JSON.stringify({ 'orderId': 123 })).toString('base64'),
+      'attributes': { 'origin': 'test' },
+      'messageId': '12837474935731426',
+      'publishTime': '2024-10-14T10:13:10.178Z',
+      'orderingKey': 'order-123',
+    },
+    'subscription': 'projects/my-project/subscriptions/my-subscription',
+  },
+}
+
+// encode a protobuf message, where the fields are [number, value] pairs with
+// numbers and booleans as varints and strings and buffers length-delimited
+const encodeProtobuf = (...fields) => Buffer.concat(fields.map(([number, value]) => {
+  const varint = (value) => {
+    const bytes = []
+    let remaining = BigInt.asUintN(64, BigInt(value))
+
+    do {
+      const byte = Number(remaining & 0x7fn)
+      remaining >>= 7n
+      bytes.push(remaining ? byte | 0x80 : byte)
+    } while (remaining)
+
+    return Buffer.from(bytes)
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return Buffer.concat([varint(number << 3), varint(Number(value))])
+  }
+
+  const buffer = Buffer.from(value)
+
+  return Buffer.concat([varint((number << 3) | 2), varint(buffer.length), buffer])
+}))
+
 const createClient = (events, sessions, config = {}) => {
   const client = new Client({
     apiKey: 'AN_API_KEY',
@@ -45,6 +98,30 @@ const createClient = (events, sessions, config = {}) => {
   return client
 }
 
+// a client of @bugsnag/node, which forwards its methods to the client of the
+// current async context
+const createNodeClient = (events, sessions, config = {}) => {
+  const client = Bugsnag.createClient({
+    apiKey: 'AN_API_KEY',
+    plugins: [BugsnagPluginCloudRunFunction],
+    logger: null,
+    ...config,
+  })
+
+  client._delivery = {
+    sendEvent (payload, cb = () => {}) {
+      events.push(payload)
+      cb()
+    },
+    sendSession (payload, cb = () => {}) {
+      sessions.push(payload)
+      cb()
+    },
+  }
+
+  return client
+}
+
 describe('plugin: cloud run functions', () => {
   it('has a name', () => {
     expect(BugsnagPluginCloudRunFunction.name).eq('CloudRunFunctions')
@@ -60,6 +137,8 @@ describe('plugin: cloud run functions', () => {
     expect(plugin).to.be.a('object')
     expect(plugin.createHttpHandler).to.be.a('function')
     expect(plugin.createCloudEventHandler()).to.be.a('function')
+    expect(plugin.createBackgroundHandler()).to.be.a('function')
+    expect(plugin.instrumentFunctionsFramework).to.be.a('function')
   })
 
   describe('http handler', () => {
@@ -69,7 +148,13 @@ describe('plugin: cloud run functions', () => {
 
       const client = createClient(events, sessions)
 
-      const handler = (req, res) => { res.send('abc') }
+      let invocationClient
+
+      const handler = (req, res) => {
+        invocationClient = req.bugsnag
+
+        res.send('abc')
+      }
 
       const plugin = client.getPlugin('CloudRunFunctions')
 
@@ -87,7 +172,9 @@ describe('plugin: cloud run functions', () => {
         expect(res.status).eq(200)
         expect(res.text).eq('abc')
 
-        const metadata = client.getMetadata('request')
+        expect(client.getMetadata('request')).eq(undefined)
+
+        const metadata = invocationClient.getMetadata('request')
 
         expect(metadata).to.be.a('object')
 
@@ -107,6 +194,103 @@ describe('plugin: cloud run functions', () => {
       }).catch(done)
     })
 
+    it('does not share metadata between concurrent requests', (done) => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const handler = async (req, res) => {
+        req.bugsnag.setUser(req.query.id)
+        req.bugsnag.leaveBreadcrumb(`request ${req.query.id}`)
+
+        await new Promise(resolve => setTimeout(resolve, req.query.id === 'a' ? 50 : 0))
+
+        req.bugsnag.notify(new Error(`error ${req.query.id}`))
+
+        res.send('abc')
+      }
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createHttpHandler()
+      const wrappedHandler = bugsnagHandler(handler)
+
+      functions.http('fn', wrappedHandler)
+      const app = getTestServer('fn')
+
+      Promise.all([
+        request(app).get('/?id=a'),
+        request(app).get('/?id=b'),
+      ]).then(() => {
+        expect(events).length(2)
+
+        for (const payload of events) {
+          const event = payload.events[0]
+          const id = event.errors[0].errorMessage.replace('error ', '')
+
+          expect(event.getMetadata('request', 'query')).to.deep.eq({ id })
+          expect(event.getUser().id).eq(id)
+          expect(event.breadcrumbs.map(breadcrumb => breadcrumb.message)).to.include(`request ${id}`)
+          expect(event.breadcrumbs.map(breadcrumb => breadcrumb.message)).to.not.include(`request ${id === 'a' ? 'b' : 'a'}`)
+        }
+
+        expect(client.getUser()).to.deep.eq({})
+        expect(client._breadcrumbs).length(0)
+
+        done()
+      }).catch(done)
+    })
+
+    it('runs the handler in the async context of the request', (done) => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+      client._clientContext = new AsyncLocalStorage()
+
+      let contextClient
+
+      const handler = async (req, res) => {
+        await Promise.resolve()
+
+        contextClient = client._clientContext.getStore()
+
+        res.send('abc')
+      }
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createHttpHandler()
+      const wrappedHandler = bugsnagHandler((req, res) => {
+        const result = handler(req, res)
+
+        expect(client._clientContext.getStore()).eq(req.bugsnag)
+
+        return result
+      })
+
+      functions.http('fn', wrappedHandler)
+      const app = getTestServer('fn')
+
+      request(app).get('/').then(res => {
+        expect(res.status).eq(200)
+        expect(contextClient).to.be.a('object')
+        expect(contextClient).not.eq(client)
+        expect(contextClient.getMetadata('request')).to.be.a('object')
+
+        done()
+      }).catch(done)
+    })
+
     it('logs an error if flush times out', (done) => {
       const client = createClient([], [])
       client._logger.error = sinon.fake()
@@ -173,14 +357,18 @@ describe('plugin: cloud run functions', () => {
 
       const bugsnagHandler = plugin.createHttpHandler()
       const wrappedHandler = bugsnagHandler(handler)
+      let invocation
 
-      functions.http('fn', wrappedHandler)
+      functions.http('fn', (req, res) => (invocation = wrappedHandler(req, res)))
       const app = getTestServer('fn')
 
       request(app).get('/').then(res => {
         expect(res.status).eq(200)
         expect(res.text).eq('abc')
 
+        // the session is sent once the invocation completes
+        return invocation
+      }).then(() => {
         expect(events).length(0)
         expect(sessions).length(1)
 
@@ -311,14 +499,18 @@ describe('plugin: cloud run functions', () => {
 
       const bugsnagHandler = plugin.createHttpHandler()
       const wrappedHandler = bugsnagHandler(handler)
+      let invocation
 
-      functions.http('fn', wrappedHandler)
+      functions.http('fn', (req, res) => (invocation = wrappedHandler(req, res)))
       const app = getTestServer('fn')
 
       request(app).get('/').then(res => {
         expect(res.status).eq(200)
         expect(res.text).eq('abc')
 
+        // the session is sent once the invocation completes
+        return invocation
+      }).then(() => {
         expect(events).length(0)
         expect(sessions).length(1)
 
@@ -364,7 +556,13 @@ describe('plugin: cloud run functions', () => {
 
       const client = createClient(events, sessions)
 
-      const handler = (cloudEvent) => 'abc'
+      let invocationClient
+
+      const handler = (cloudEvent) => {
+        invocationClient = plugin.getInvocationClient()
+
+        return 'abc'
+      }
 
       const plugin = client.getPlugin('CloudRunFunctions')
 
@@ -381,7 +579,44 @@ describe('plugin: cloud run functions', () => {
       request(app).post('/').send(cloudEvent).then(res => {
         expect(res.text).eq('abc')
 
-        expect(client.getMetadata('cloudevent')).to.deep.eq(cloudEvent)
+        expect(client.getMetadata('cloudevent')).eq(undefined)
+        expect(invocationClient.getMetadata('cloudevent')).to.deep.eq(cloudEvent)
+        expect(plugin.getInvocationClient()).eq(undefined)
+
+        done()
+      }).catch(done)
+    })
+
+    it('completes a synchronous handler with a callback', (done) => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const handler = (cloudEvent, callback) => {
+        plugin.getInvocationClient().addMetadata('custom', { key: 'value' })
+        plugin.getInvocationClient().notify(new Error('oops'))
+
+        callback(null, 'abc')
+      }
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler()(handler)
+
+      functions.cloudEvent('fn', wrappedHandler)
+      const app = getTestServer('fn')
+
+      request(app).post('/').send(cloudEvent).then(res => {
+        expect(res.text).eq('abc')
+
+        expect(events).length(1)
+        expect(events[0].events[0].getMetadata('custom')).to.deep.eq({ key: 'value' })
+        expect(sessions).length(1)
 
         done()
       }).catch(done)
@@ -429,6 +664,43 @@ describe('plugin: cloud run functions', () => {
       }).catch(done)
     })
 
+    it('passes the invocation client to a callback handler', (done) => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const handler = (cloudEvent, callback) => {
+        callback.bugsnag.addMetadata('custom', { key: 'value' })
+        callback.bugsnag.notify(new Error('oops'))
+
+        callback(null, 'abc')
+      }
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createCloudEventHandler()
+      const wrappedHandler = bugsnagHandler(handler)
+
+      functions.cloudEvent('fn', wrappedHandler)
+      const app = getTestServer('fn')
+
+      request(app).post('/').send(cloudEvent).then(res => {
+        expect(res.text).eq('abc')
+
+        expect(events).length(1)
+        expect(events[0].events[0].getMetadata('custom')).to.deep.eq({ key: 'value' })
+        expect(events[0].events[0].getMetadata('cloudevent')).to.deep.eq(cloudEvent)
+        expect(client.getMetadata('custom')).eq(undefined)
+
+        done()
+      }).catch(done)
+    })
+
     it('resolves to the original return value (async)', (done) => {
       const events = []
       const sessions = []
@@ -957,4 +1229,3318 @@ describe('plugin: cloud run functions', () => {
       }).catch(done)
     })
   })
+
+  describe('function timeout', () => {
+    let clock
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers()
+    })
+
+    afterEach(() => {
+      clock.restore()
+      delete process.env.FUNCTION_TIMEOUT_SEC
+    })
+
+    it('notifies when the function is about to time out', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const handler = (cloudEvent) => new Promise(resolve => setTimeout(() => resolve('abc'), 10000))
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createCloudEventHandler({ timeoutMs: 5000, timeoutWarningMs: 500 })
+      const wrappedHandler = bugsnagHandler(handler)
+
+      const result = wrappedHandler(cloudEvent)
+
+      await clock.tickAsync(4499)
+
+      expect(events).length(0)
+
+      await clock.tickAsync(1)
+
+      expect(events).length(1)
+
+      const event = events[0].events[0]
+
+      expect(event.errors[0].errorClass).eq('FunctionTimeoutApproaching')
+      expect(event.errors[0].errorMessage).eq('Function will timeout in 500ms')
+      expect(event.severity).eq('warning')
+      expect(event.unhandled).eq(false)
+      expect(event.getMetadata('cloudevent')).to.deep.eq(cloudEvent)
+
+      await clock.tickAsync(5500)
+
+      expect(await result).eq('abc')
+      expect(events).length(1)
+    })
+
+    it('sends the warning halfway through a timeout shorter than the warning', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const handler = (cloudEvent) => new Promise(resolve => setTimeout(() => resolve('abc'), 2000))
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler({ timeoutMs: 1000 })(handler)
+
+      const result = wrappedHandler(cloudEvent)
+
+      await clock.tickAsync(0)
+
+      expect(events).length(0)
+
+      await clock.tickAsync(499)
+
+      expect(events).length(0)
+
+      await clock.tickAsync(1)
+
+      expect(events).length(1)
+      expect(events[0].events[0].errors[0].errorMessage).eq('Function will timeout in 500ms')
+
+      await clock.tickAsync(1500)
+
+      expect(await result).eq('abc')
+    })
+
+    it('reads the timeout from the "FUNCTION_TIMEOUT_SEC" environment variable', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      process.env.FUNCTION_TIMEOUT_SEC = '3'
+
+      const handler = (cloudEvent) => new Promise(resolve => setTimeout(() => resolve('abc'), 10000))
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createCloudEventHandler()
+      const wrappedHandler = bugsnagHandler(handler)
+
+      const result = wrappedHandler(cloudEvent)
+
+      await clock.tickAsync(1999)
+
+      expect(events).length(0)
+
+      await clock.tickAsync(1)
+
+      expect(events).length(1)
+      expect(events[0].events[0].errors[0].errorMessage).eq('Function will timeout in 1000ms')
+
+      await clock.tickAsync(8000)
+
+      expect(await result).eq('abc')
+    })
+
+    it('does not notify when the function completes in time', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const handler = (cloudEvent) => new Promise(resolve => setTimeout(() => resolve('abc'), 1000))
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createCloudEventHandler({ timeoutMs: 5000 })
+      const wrappedHandler = bugsnagHandler(handler)
+
+      const result = wrappedHandler(cloudEvent)
+
+      await clock.tickAsync(10000)
+
+      expect(await result).eq('abc')
+      expect(events).length(0)
+      expect(sessions).length(1)
+    })
+
+    it('does not notify when "timeoutWarningMs" is 0', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const handler = (cloudEvent) => new Promise(resolve => setTimeout(() => resolve('abc'), 10000))
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createCloudEventHandler({ timeoutMs: 5000, timeoutWarningMs: 0 })
+      const wrappedHandler = bugsnagHandler(handler)
+
+      const result = wrappedHandler(cloudEvent)
+
+      await clock.tickAsync(10000)
+
+      expect(await result).eq('abc')
+      expect(events).length(0)
+    })
+  })
+
+  describe('pubsub cloudevent', () => {
+    it('adds the decoded message as metadata', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const handler = (cloudEvent) => { throw new Error('oops') }
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createCloudEventHandler()
+      const wrappedHandler = bugsnagHandler(handler)
+
+      await wrappedHandler(pubsubCloudEvent).catch(() => {})
+
+      expect(events).length(1)
+
+      const event = events[0].events[0]
+
+      expect(event.context).eq('my-topic')
+      expect(event.getMetadata('pubsub')).to.deep.eq({
+        subscription: 'projects/my-project/subscriptions/my-subscription',
+        topic: 'my-topic',
+        messageId: '12837474935731426',
+        publishTime: '2024-10-14T10:13:10.178Z',
+        orderingKey: 'order-123',
+        attributes: { origin: 'test' },
+        payload: { orderId: 123 },
+      })
+      expect(event.getMetadata('cloudevent')).to.deep.eq(pubsubCloudEvent)
+    })
+
+    it('keeps a payload that is not JSON as a truncated string', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const handler = (cloudEvent) => { throw new Error('oops') }
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createCloudEventHandler()
+      const wrappedHandler = bugsnagHandler(handler)
+
+      const message = { data: Buffer.from('plain text').toString('base64') }
+      const largeMessage = { data: Buffer.from('x'.repeat(5000)).toString('base64') }
+
+      await wrappedHandler({ ...pubsubCloudEvent, data: { message } }).catch(() => {})
+      await wrappedHandler({ ...pubsubCloudEvent, data: { message: largeMessage } }).catch(() => {})
+
+      expect(events).length(2)
+      expect(events[0].events[0].getMetadata('pubsub', 'payload')).eq('plain text')
+      expect(events[1].events[0].getMetadata('pubsub', 'payload')).eq(`${'x'.repeat(4096)}…(truncated 904 characters)`)
+    })
+
+    it('does not add the pubsub metadata to other cloudevents', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const handler = (cloudEvent) => { throw new Error('oops') }
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createCloudEventHandler()
+      const wrappedHandler = bugsnagHandler(handler)
+
+      await wrappedHandler(cloudEvent).catch(() => {})
+
+      expect(events).length(1)
+      expect(events[0].events[0].getMetadata('pubsub')).eq(undefined)
+      expect(events[0].events[0].context).eq(undefined)
+    })
+  })
+
+  describe('cloudevent enrichers', () => {
+    const notifyFromCloudEvent = async (cloudEvent, configure = () => {}) => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      configure(plugin)
+
+      const bugsnagHandler = plugin.createCloudEventHandler()
+      const wrappedHandler = bugsnagHandler((cloudEvent) => { throw new Error('oops') })
+
+      await wrappedHandler(cloudEvent).catch(() => {})
+
+      expect(events).length(1)
+
+      return events[0].events[0]
+    }
+
+    it('adds the cloud storage object as metadata', async () => {
+      const event = await notifyFromCloudEvent({
+        id: '1234',
+        type: 'google.cloud.storage.object.v1.finalized',
+        source: '//storage.googleapis.com/projects/_/buckets/my-bucket',
+        subject: 'objects/images/cat.png',
+        data: {
+          bucket: 'my-bucket',
+          name: 'images/cat.png',
+          generation: '1728900790178000',
+          metageneration: '1',
+          contentType: 'image/png',
+          size: '1024',
+        },
+      })
+
+      expect(event.context).eq('gs://my-bucket/images/cat.png')
+      expect(event.getMetadata('storage')).to.deep.include({
+        eventType: 'finalized',
+        bucket: 'my-bucket',
+        object: 'images/cat.png',
+        generation: '1728900790178000',
+        contentType: 'image/png',
+        size: '1024',
+      })
+    })
+
+    it('adds the firestore document change as metadata (json)', async () => {
+      const event = await notifyFromCloudEvent({
+        id: '1234',
+        type: 'google.cloud.firestore.document.v1.updated',
+        source: '//firestore.googleapis.com/projects/my-project/databases/(default)',
+        database: '(default)',
+        namespace: '(default)',
+        document: 'users/alice',
+        datacontenttype: 'application/json',
+        data: {
+          value: {
+            name: 'projects/my-project/databases/(default)/documents/users/alice',
+            fields: {
+              name: { stringValue: 'Alice' },
+              age: { integerValue: '31' },
+              tags: { arrayValue: { values: [{ stringValue: 'a' }] } },
+            },
+          },
+          oldValue: {
+            name: 'projects/my-project/databases/(default)/documents/users/alice',
+            fields: {
+              name: { stringValue: 'Alice' },
+              age: { integerValue: '30' },
+              deleted: { booleanValue: false },
+            },
+          },
+          updateMask: { fieldPaths: ['age', 'tags', 'deleted'] },
+        },
+      })
+
+      expect(event.context).eq('users/alice')
+      expect(event.getMetadata('firestore')).to.deep.eq({
+        eventType: 'updated',
+        database: '(default)',
+        namespace: '(default)',
+        document: 'users/alice',
+        value: { name: 'Alice', age: 31, tags: ['a'] },
+        oldValue: { name: 'Alice', age: 30, deleted: false },
+        updateMask: ['age', 'tags', 'deleted'],
+        changes: {
+          age: { oldValue: 30, newValue: 31 },
+          tags: { oldValue: undefined, newValue: ['a'] },
+          deleted: { oldValue: false, newValue: undefined },
+        },
+      })
+    })
+
+    it('adds the firestore document change as metadata (protobuf)', async () => {
+      const name = 'projects/my-project/databases/(default)/documents/users/bob'
+      const mapEntry = (key, value) => encodeProtobuf([1, key], [2, value])
+
+      const value = encodeProtobuf(
+        [1, name],
+        [2, mapEntry('name', encodeProtobuf([17, 'Bob']))],
+        [2, mapEntry('age', encodeProtobuf([2, -1]))],
+        [2, mapEntry('active', encodeProtobuf([1, true]))],
+        [2, mapEntry('nothing', encodeProtobuf([11, 0]))],
+        [2, mapEntry('createdAt', encodeProtobuf([10, encodeProtobuf([1, 1728900790], [2, 178000000])]))],
+        [2, mapEntry('address', encodeProtobuf([6, encodeProtobuf([1, mapEntry('city', encodeProtobuf([17, 'Paris']))])]))],
+        [2, mapEntry('scores', encodeProtobuf([9, encodeProtobuf([1, encodeProtobuf([2, 1])], [1, encodeProtobuf([2, 2])])]))],
+      )
+
+      const oldValue = encodeProtobuf(
+        [1, name],
+        [2, mapEntry('name', encodeProtobuf([17, 'Bobby']))],
+      )
+
+      const event = await notifyFromCloudEvent({
+        id: '1234',
+        type: 'google.cloud.firestore.document.v1.written',
+        source: '//firestore.googleapis.com/projects/my-project/databases/(default)',
+        datacontenttype: 'application/protobuf',
+        data: encodeProtobuf([1, value], [2, oldValue], [3, encodeProtobuf([1, 'name'])]),
+      })
+
+      expect(event.context).eq('users/bob')
+
+      const metadata = event.getMetadata('firestore')
+
+      expect(metadata.eventType).eq('written')
+      expect(metadata.document).eq('users/bob')
+      expect(metadata.value).to.deep.eq({
+        name: 'Bob',
+        age: -1,
+        active: true,
+        nothing: null,
+        createdAt: '2024-10-14T10:13:10.178Z',
+        address: { city: 'Paris' },
+        scores: [1, 2],
+      })
+      expect(metadata.oldValue).to.deep.eq({ name: 'Bobby' })
+      expect(metadata.updateMask).to.deep.eq(['name'])
+      expect(metadata.changes.name).to.deep.eq({ oldValue: 'Bobby', newValue: 'Bob' })
+    })
+
+    it('reports a firestore payload that cannot be decoded', async () => {
+      const event = await notifyFromCloudEvent({
+        id: '1234',
+        type: 'google.cloud.firestore.document.v1.created',
+        source: '//firestore.googleapis.com/projects/my-project/databases/(default)',
+        document: 'users/carol',
+        data: Buffer.from([0x0a, 0xff]),
+      })
+
+      expect(event.context).eq('users/carol')
+      expect(event.getMetadata('firestore', 'decodeError')).to.be.a('string')
+    })
+
+    it('adds the audit log entry as metadata', async () => {
+      const event = await notifyFromCloudEvent({
+        id: '1234',
+        type: 'google.cloud.audit.log.v1.written',
+        source: '//cloudaudit.googleapis.com/projects/my-project/logs/activity',
+        methodname: 'storage.buckets.create',
+        data: {
+          protoPayload: {
+            serviceName: 'storage.googleapis.com',
+            methodName: 'storage.buckets.create',
+            resourceName: 'projects/_/buckets/my-bucket',
+            authenticationInfo: { principalEmail: 'alice@example.com' },
+            requestMetadata: { callerIp: '10.0.0.1' },
+          },
+          logName: 'projects/my-project/logs/cloudaudit.googleapis.com%2Factivity',
+          severity: 'NOTICE',
+        },
+      })
+
+      expect(event.context).eq('storage.buckets.create')
+      expect(event.getMetadata('auditLog')).to.deep.include({
+        serviceName: 'storage.googleapis.com',
+        methodName: 'storage.buckets.create',
+        resourceName: 'projects/_/buckets/my-bucket',
+        principal: 'alice@example.com',
+        callerIp: '10.0.0.1',
+        severity: 'NOTICE',
+      })
+    })
+
+    it('supports custom enrichers', async () => {
+      const event = await notifyFromCloudEvent(cloudEvent, (plugin) => {
+        plugin.addCloudEventEnricher({
+          match: (type, source) => type === 'com.github.pull.create' && source === '/cloudevents/spec/pull',
+          enrich: (cloudEvent, event) => {
+            event.addMetadata('github', { key: cloudEvent.data.key })
+            event.context = 'pull request'
+          },
+        })
+      })
+
+      expect(event.context).eq('pull request')
+      expect(event.getMetadata('github')).to.deep.eq({ key: 'value' })
+    })
+
+    it('supports enrichers passed to the handler', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const enrichers = [{
+        match: (type) => type === 'google.cloud.pubsub.topic.v1.messagePublished',
+        enrich: (cloudEvent, event) => {
+          event.addMetadata('order', { id: cloudEvent.data.message.attributes.origin })
+          event.context = `order ${event.context}`
+          event.groupingHash = 'orders'
+        },
+      }]
+
+      const bugsnagHandler = plugin.createCloudEventHandler({ enrichers })
+      const wrappedHandler = bugsnagHandler((cloudEvent) => { throw new Error('oops') })
+
+      await wrappedHandler(pubsubCloudEvent).catch(() => {})
+      await wrappedHandler(cloudEvent).catch(() => {})
+
+      expect(events).length(2)
+      expect(events[0].events[0].context).eq('order my-topic')
+      expect(events[0].events[0].groupingHash).eq('orders')
+      expect(events[0].events[0].getMetadata('order')).to.deep.eq({ id: 'test' })
+      expect(events[1].events[0].getMetadata('order')).eq(undefined)
+    })
+
+    it('supports enrichers for http requests', (done) => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const enrichers = [{
+        match: (method, path) => method === 'POST' && path.startsWith('/orders'),
+        enrich: (req, event) => {
+          event.addMetadata('tenant', { id: req.get('x-tenant-id') })
+          event.context = 'create order'
+        },
+      }]
+
+      const bugsnagHandler = plugin.createHttpHandler({ enrichers })
+      const wrappedHandler = bugsnagHandler((req, res) => { throw new Error('oops') })
+
+      functions.http('fn', wrappedHandler)
+      const app = getTestServer('fn')
+
+      Promise.all([
+        request(app).post('/orders').set('x-tenant-id', 'acme'),
+        request(app).get('/orders'),
+      ]).then(() => {
+        expect(events).length(2)
+
+        const [postEvent, getEvent] = events
+          .map(payload => payload.events[0])
+          .sort((a, b) => a.getMetadata('request', 'httpMethod').localeCompare(b.getMetadata('request', 'httpMethod')))
+          .reverse()
+
+        expect(postEvent.context).eq('create order')
+        expect(postEvent.getMetadata('tenant')).to.deep.eq({ id: 'acme' })
+        expect(getEvent.context).eq('GET /orders')
+        expect(getEvent.getMetadata('tenant')).eq(undefined)
+
+        done()
+      }).catch(done)
+    })
+
+    it('rejects invalid custom enrichers', () => {
+      const client = createClient([], [])
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      expect(() => plugin.addCloudEventEnricher({ match: () => true })).throws(TypeError)
+      expect(() => plugin.createHttpHandler({ enrichers: [{ enrich: () => {} }] })).throws(TypeError)
+    })
+  })
+
+  describe('instance lifecycle', () => {
+    let clock
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: 1000 })
+    })
+
+    afterEach(() => {
+      clock.restore()
+      delete process.env.K_SERVICE
+      delete process.env.K_REVISION
+      delete process.env.FUNCTION_TARGET
+      delete process.env.FUNCTION_SIGNATURE_TYPE
+    })
+
+    it('adds the cold start and invocation number to events and sessions', async () => {
+      const events = []
+      const sessions = []
+
+      process.env.K_SERVICE = 'my-service'
+      process.env.K_REVISION = 'my-service-00001-abc'
+      process.env.FUNCTION_TARGET = 'fn'
+      process.env.FUNCTION_SIGNATURE_TYPE = 'cloudevent'
+
+      const client = createClient(events, sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const bugsnagHandler = plugin.createCloudEventHandler()
+      const wrappedHandler = bugsnagHandler((cloudEvent) => { throw new Error('oops') })
+
+      await clock.tickAsync(500)
+      await wrappedHandler(cloudEvent).catch(() => {})
+      await clock.tickAsync(250)
+      await wrappedHandler(cloudEvent).catch(() => {})
+
+      expect(events).length(2)
+      expect(events[0].events[0].getMetadata('function')).to.deep.eq({
+        coldStart: true,
+        invocationNumber: 1,
+        instanceUptimeMs: 500,
+        K_SERVICE: 'my-service',
+        K_REVISION: 'my-service-00001-abc',
+        FUNCTION_TARGET: 'fn',
+        FUNCTION_SIGNATURE_TYPE: 'cloudevent',
+      })
+      expect(events[1].events[0].getMetadata('function')).to.deep.include({
+        coldStart: false,
+        invocationNumber: 2,
+        instanceUptimeMs: 750,
+      })
+
+      expect(sessions).length(2)
+      expect(sessions[0].app).to.deep.include({ coldStart: true, invocationNumber: 1, instanceUptimeMs: 500 })
+      expect(sessions[1].app).to.deep.include({ coldStart: false, invocationNumber: 2, instanceUptimeMs: 750 })
+    })
+
+    it('counts invocations across handlers', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const firstHandler = plugin.createCloudEventHandler()((cloudEvent) => 'abc')
+      const secondHandler = plugin.createCloudEventHandler()((cloudEvent) => { throw new Error('oops') })
+
+      await firstHandler(cloudEvent)
+      await secondHandler(cloudEvent).catch(() => {})
+
+      expect(events).length(1)
+      expect(events[0].events[0].getMetadata('function')).to.deep.include({ coldStart: false, invocationNumber: 2 })
+    })
+
+    it('resets the app duration at the start of each invocation', async () => {
+      const reset = sinon.fake()
+      const appDurationPlugin = { name: 'appDuration', load: () => ({ reset }) }
+
+      const client = createClient([], [], { plugins: [appDurationPlugin, BugsnagPluginCloudRunFunction] })
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler()((cloudEvent) => 'abc')
+
+      expect(reset.callCount).eq(0)
+
+      await wrappedHandler(cloudEvent)
+      await wrappedHandler(cloudEvent)
+
+      expect(reset.callCount).eq(2)
+    })
+  })
+
+  describe('environment', () => {
+    const env = { ...process.env }
+
+    afterEach(() => {
+      process.env = { ...env }
+    })
+
+    const notifyFromCloudEvent = async (client, options) => {
+      const events = []
+
+      client._delivery = {
+        sendEvent (payload, cb = () => {}) {
+          events.push(payload)
+          cb()
+        },
+        sendSession (payload, cb = () => {}) {
+          cb()
+        },
+      }
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler(options)((cloudEvent) => { throw new Error('oops') })
+
+      await wrappedHandler(cloudEvent).catch(() => {})
+
+      expect(events).length(1)
+
+      return events[0].events[0]
+    }
+
+    it('adds the cloud run service as metadata', async () => {
+      process.env.K_SERVICE = 'orders'
+      process.env.K_REVISION = 'orders-00002-xyz'
+      process.env.K_CONFIGURATION = 'orders'
+      process.env.GOOGLE_CLOUD_PROJECT = 'my-project'
+
+      const event = await notifyFromCloudEvent(createClient([], []))
+
+      expect(event.getMetadata('cloudRun')).to.deep.eq({
+        service: 'orders',
+        revision: 'orders-00002-xyz',
+        configuration: 'orders',
+        region: undefined,
+        projectId: 'my-project',
+        instanceId: undefined,
+      })
+      expect(event.app.version).eq('orders-00002-xyz')
+      expect(event.app.releaseStage).eq('production')
+    })
+
+    it('does not add the cloud run tab outside of cloud run', async () => {
+      delete process.env.K_SERVICE
+      delete process.env.K_REVISION
+      delete process.env.K_CONFIGURATION
+      delete process.env.FUNCTION_REGION
+      delete process.env.GOOGLE_CLOUD_PROJECT
+      delete process.env.GCLOUD_PROJECT
+      delete process.env.GCP_PROJECT
+
+      const event = await notifyFromCloudEvent(createClient([], []))
+
+      expect(event.getMetadata('cloudRun')).eq(undefined)
+    })
+
+    it('does not override a configured app version', async () => {
+      process.env.K_REVISION = 'orders-00002-xyz'
+
+      const event = await notifyFromCloudEvent(createClient([], [], { appVersion: '1.2.3' }))
+
+      expect(event.app.version).eq('1.2.3')
+    })
+
+    it('guesses the release stage from the service name when enabled', async () => {
+      process.env.K_SERVICE = 'orders-staging'
+
+      const event = await notifyFromCloudEvent(createClient([], []), { guessReleaseStage: true })
+
+      expect(event.app.releaseStage).eq('staging')
+    })
+
+    it('does not guess the release stage by default', async () => {
+      delete process.env.NODE_ENV
+      process.env.K_SERVICE = 'orders-staging'
+
+      const event = await notifyFromCloudEvent(createClient([], [], { releaseStage: 'production' }))
+
+      expect(event.app.releaseStage).eq('production')
+    })
+
+    it('keeps the release stage when the service name has none', async () => {
+      process.env.K_SERVICE = 'orders'
+
+      const event = await notifyFromCloudEvent(createClient([], [], { releaseStage: 'beta' }), { guessReleaseStage: true })
+
+      expect(event.app.releaseStage).eq('beta')
+    })
+
+    describe('metadata server', () => {
+      let server
+      let requests
+
+      beforeEach((done) => {
+        requests = []
+
+        server = http.createServer((req, res) => {
+          requests.push(req)
+
+          const responses = {
+            '/computeMetadata/v1/project/project-id': 'metadata-project',
+            '/computeMetadata/v1/instance/region': 'projects/123456789/regions/europe-west1',
+            '/computeMetadata/v1/instance/id': '0087244a80fe1',
+          }
+
+          if (req.headers['metadata-flavor'] !== 'Google' || !(req.url in responses)) {
+            res.writeHead(404).end()
+            return
+          }
+
+          res.end(responses[req.url])
+        })
+
+        server.listen(0, '127.0.0.1', () => {
+          process.env.GCE_METADATA_HOST = `127.0.0.1:${server.address().port}`
+          done()
+        })
+      })
+
+      afterEach((done) => {
+        server.close(done)
+      })
+
+      it('adds the region, project and instance from the metadata server', async () => {
+        process.env.K_SERVICE = 'orders'
+        delete process.env.GOOGLE_CLOUD_PROJECT
+        delete process.env.GCLOUD_PROJECT
+        delete process.env.GCP_PROJECT
+
+        const event = await notifyFromCloudEvent(createClient([], []), { metadataServer: true })
+
+        expect(event.getMetadata('cloudRun')).to.deep.include({
+          service: 'orders',
+          region: 'europe-west1',
+          projectId: 'metadata-project',
+          instanceId: '0087244a80fe1',
+        })
+        expect(event.device.hostname).eq('0087244a80fe1')
+        expect(requests).length(3)
+      })
+
+      it('prefers the environment variables over the metadata server', async () => {
+        process.env.K_SERVICE = 'orders'
+        process.env.GOOGLE_CLOUD_PROJECT = 'env-project'
+
+        const event = await notifyFromCloudEvent(createClient([], []), { metadataServer: true })
+
+        expect(event.getMetadata('cloudRun', 'projectId')).eq('env-project')
+      })
+
+      it('does not query the metadata server unless enabled', async () => {
+        process.env.K_SERVICE = 'orders'
+
+        const event = await notifyFromCloudEvent(createClient([], []))
+
+        expect(event.getMetadata('cloudRun', 'instanceId')).eq(undefined)
+        expect(requests).length(0)
+      })
+
+      it('ignores an unavailable metadata server', async () => {
+        process.env.K_SERVICE = 'orders'
+        process.env.GCE_METADATA_HOST = '127.0.0.1:1'
+
+        const event = await notifyFromCloudEvent(createClient([], []), { metadataServer: true })
+
+        expect(event.getMetadata('cloudRun', 'service')).eq('orders')
+        expect(event.getMetadata('cloudRun', 'instanceId')).eq(undefined)
+      })
+    })
+  })
+
+  describe('trace', () => {
+    const env = { ...process.env }
+
+    afterEach(() => {
+      process.env = { ...env }
+    })
+
+    const notifyFromRequest = (headers) => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler()((req, res) => { throw new Error('oops') })
+
+      functions.http('fn', wrappedHandler)
+      const app = getTestServer('fn')
+
+      return request(app).get('/').set(headers).then(() => {
+        expect(events).length(1)
+
+        return events[0].events[0]
+      })
+    }
+
+    it('correlates the event with the "traceparent" header', async () => {
+      process.env.GOOGLE_CLOUD_PROJECT = 'my-project'
+
+      const event = await notifyFromRequest({
+        'traceparent': '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+        'x-cloud-trace-context': '0af7651916cd43dd8448eb211c80319c/1;o=0',
+      })
+
+      expect(event._correlation).to.deep.eq({ traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7' })
+      expect(event.getMetadata('trace')).to.deep.eq({
+        traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+        spanId: '00f067aa0ba902b7',
+        sampled: true,
+        traceUrl: 'https://console.cloud.google.com/traces/list?tid=4bf92f3577b34da6a3ce929d0e0e4736&project=my-project',
+        logsUrl: 'https://console.cloud.google.com/logs/query;query=trace%3D%22projects%2Fmy-project%2Ftraces%2F4bf92f3577b34da6a3ce929d0e0e4736%22?project=my-project',
+      })
+    })
+
+    it('correlates the event with the "X-Cloud-Trace-Context" header', async () => {
+      delete process.env.GOOGLE_CLOUD_PROJECT
+      delete process.env.GCLOUD_PROJECT
+      delete process.env.GCP_PROJECT
+
+      const event = await notifyFromRequest({
+        'traceparent': 'invalid',
+        'x-cloud-trace-context': '0AF7651916CD43DD8448EB211C80319C/12345678901234;o=1',
+      })
+
+      expect(event._correlation).to.deep.eq({ traceId: '0af7651916cd43dd8448eb211c80319c', spanId: '00000b3a73ce2ff2' })
+      expect(event.getMetadata('trace')).to.deep.eq({
+        traceId: '0af7651916cd43dd8448eb211c80319c',
+        spanId: '00000b3a73ce2ff2',
+        sampled: true,
+      })
+    })
+
+    it('does not correlate the event without trace headers', async () => {
+      const event = await notifyFromRequest({})
+
+      expect(event._correlation).eq(undefined)
+      expect(event.getMetadata('trace')).eq(undefined)
+    })
+
+    it('correlates the event with the "traceparent" cloudevent extension', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler()((cloudEvent) => { throw new Error('oops') })
+
+      await wrappedHandler({ ...cloudEvent, traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00' }).catch(() => {})
+
+      expect(events).length(1)
+      expect(events[0].events[0]._correlation).to.deep.eq({ traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7' })
+      expect(events[0].events[0].getMetadata('trace', 'sampled')).eq(false)
+    })
+  })
+
+  describe('structured logging', () => {
+    const env = { ...process.env }
+    let lines
+
+    beforeEach(() => {
+      lines = []
+
+      const write = process.stdout.write
+
+      sinon.stub(process.stdout, 'write').callsFake(function (line) {
+        if (typeof line === 'string' && line.includes('[bugsnag]')) {
+          lines.push(JSON.parse(line))
+          return true
+        }
+
+        return write.apply(this, arguments)
+      })
+    })
+
+    afterEach(() => {
+      process.stdout.write.restore()
+      process.env = { ...env }
+    })
+
+    it('logs the events sent with the trace of the invocation', async () => {
+      process.env.GOOGLE_CLOUD_PROJECT = 'my-project'
+
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler({ structuredLogging: true })((cloudEvent) => {
+        throw new TypeError('oops')
+      })
+
+      await wrappedHandler({ ...cloudEvent, traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' }).catch(() => {})
+
+      expect(events).length(1)
+
+      const eventId = events[0].events[0].getMetadata('logging', 'eventId')
+
+      expect(eventId).to.be.a('string')
+      expect(lines).to.deep.eq([{
+        'severity': 'INFO',
+        'message': '[bugsnag] Event sent: TypeError',
+        'logging.googleapis.com/labels': { 'bugsnag.eventId': eventId, 'bugsnag.errorClass': 'TypeError' },
+        'logging.googleapis.com/trace': 'projects/my-project/traces/4bf92f3577b34da6a3ce929d0e0e4736',
+        'logging.googleapis.com/spanId': '00f067aa0ba902b7',
+        'logging.googleapis.com/trace_sampled': true,
+      }])
+    })
+
+    it('logs delivery failures', async () => {
+      const client = createClient([], [])
+      client._logger.error = sinon.fake()
+
+      client._delivery = {
+        sendEvent (payload, cb = () => {}) {
+          setTimeout(() => cb(new Error('network error')), 50)
+        },
+        sendSession (payload, cb = () => {}) {
+          cb()
+        },
+      }
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler({ structuredLogging: true, flushTimeoutMs: 20 })((cloudEvent) => {
+        throw new Error('oops')
+      })
+
+      await wrappedHandler(cloudEvent).catch(() => {})
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      expect(client._logger.error.called).eq(false)
+      expect(lines).length(2)
+      expect(lines[0]).to.deep.include({ severity: 'ERROR', message: '[bugsnag] Delivery may be unsuccessful: flush timed out after 20ms' })
+      expect(lines[0]['logging.googleapis.com/trace']).eq(undefined)
+      expect(lines[1]).to.deep.include({ severity: 'ERROR', message: '[bugsnag] Event failed to send: network error' })
+      expect(lines[1]['logging.googleapis.com/labels']['bugsnag.errorClass']).eq('Error')
+    })
+
+    it('does not log the events sent by default', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler()((cloudEvent) => { throw new Error('oops') })
+
+      await wrappedHandler(cloudEvent).catch(() => {})
+
+      expect(events).length(1)
+      expect(events[0].events[0].getMetadata('logging')).eq(undefined)
+      expect(lines).length(0)
+    })
+  })
+
+  describe('invocation breadcrumbs', () => {
+    let server
+    let url
+
+    beforeEach((done) => {
+      server = http.createServer((req, res) => {
+        res.writeHead(req.url.startsWith('/missing') ? 404 : 200).end('ok')
+      })
+
+      server.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${server.address().port}`
+        done()
+      })
+    })
+
+    afterEach((done) => {
+      server.close(done)
+      // fetch keeps the connections alive, which would hold the server open
+      server.closeAllConnections()
+    })
+
+    const createHandler = (client, options) => {
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      return plugin.createCloudEventHandler(options)(async (cloudEvent) => {
+        console.log('hello', { key: 'value' })
+
+        await new Promise((resolve, reject) => {
+          http.get(`${url}/path?secret=1`, res => {
+            res.resume()
+            res.on('end', resolve)
+          }).on('error', reject)
+        })
+
+        await fetch(`${url}/missing`, { method: 'post' })
+
+        throw new Error('oops')
+      })
+    }
+
+    it('leaves breadcrumbs for the invocation, console output and outgoing requests', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+      client.leaveBreadcrumb('outside of the invocation')
+
+      const wrappedHandler = createHandler(client, { captureBreadcrumbs: true })
+
+      await wrappedHandler(cloudEvent).catch(() => {})
+
+      expect(events).length(1)
+
+      const breadcrumbs = events[0].events[0].breadcrumbs.map(({ type, message, metadata }) => ({ type, message, metadata }))
+
+      expect(breadcrumbs).length(4)
+      expect(breadcrumbs[0]).to.deep.eq({
+        type: 'state',
+        message: 'Invocation started',
+        metadata: { id: cloudEvent.id, type: cloudEvent.type, source: cloudEvent.source },
+      })
+      expect(breadcrumbs[1]).to.deep.eq({
+        type: 'log',
+        message: 'Console output',
+        metadata: { 'severity': 'log', '[0]': 'hello', '[1]': '{"key":"value"}' },
+      })
+      expect(breadcrumbs[2]).to.deep.include({ type: 'request', message: 'HTTP request succeeded' })
+      expect(breadcrumbs[2].metadata).to.deep.include({ method: 'GET', url: `${url}/path`, status: 200 })
+      expect(breadcrumbs[2].metadata.duration).to.be.a('number')
+      expect(breadcrumbs[3]).to.deep.include({ type: 'request', message: 'HTTP request failed' })
+      expect(breadcrumbs[3].metadata).to.deep.include({ method: 'POST', url: `${url}/missing`, status: 404 })
+    })
+
+    it('does not share breadcrumbs between invocations', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler({ captureBreadcrumbs: true })(async (cloudEvent) => {
+        await fetch(`${url}/${cloudEvent.id}`)
+
+        throw new Error('oops')
+      })
+
+      await wrappedHandler({ ...cloudEvent, id: 'first' }).catch(() => {})
+      await wrappedHandler({ ...cloudEvent, id: 'second' }).catch(() => {})
+
+      expect(events).length(2)
+
+      const urls = events[1].events[0].breadcrumbs
+        .filter(breadcrumb => breadcrumb.type === 'request')
+        .map(breadcrumb => breadcrumb.metadata.url)
+
+      expect(urls).to.deep.eq([`${url}/second`])
+    })
+
+    it('respects "enabledBreadcrumbTypes"', async () => {
+      const events = []
+
+      const client = createClient(events, [], { enabledBreadcrumbTypes: ['state'] })
+
+      const wrappedHandler = createHandler(client, { captureBreadcrumbs: true })
+
+      await wrappedHandler(cloudEvent).catch(() => {})
+
+      expect(events).length(1)
+      expect(events[0].events[0].breadcrumbs.map(breadcrumb => breadcrumb.message)).to.deep.eq(['Invocation started'])
+    })
+
+    it('does not leave breadcrumbs by default', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const wrappedHandler = createHandler(client)
+
+      await wrappedHandler(cloudEvent).catch(() => {})
+
+      expect(events).length(1)
+      expect(events[0].events[0].breadcrumbs).length(0)
+    })
+  })
+
+  describe('response status', () => {
+    const requestWithStatus = (options, statuses) => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler(options)((req, res) => {
+        res.status(Number(req.query.status)).send('abc')
+      })
+
+      functions.http('fn', wrappedHandler)
+      const app = getTestServer('fn')
+
+      return statuses
+        .reduce((promise, status) => promise.then(() => request(app).get(`/orders?status=${status}`)), Promise.resolve())
+        .then(() => ({ events, sessions }))
+    }
+
+    it('notifies when the response status is in the range', async () => {
+      const { events, sessions } = await requestWithStatus({ notifyOnStatus: [500, 599] }, [200, 404, 500, 503])
+
+      expect(events).length(2)
+
+      const event = events[0].events[0]
+
+      expect(event.errors[0].errorClass).eq('ResponseStatusError')
+      expect(event.errors[0].errorMessage).eq('GET /orders responded with 500')
+      expect(event.errors[0].stacktrace[0].file).to.include('plugin.test.js')
+      expect(event.unhandled).eq(false)
+      expect(event.severity).eq('error')
+      expect(event.context).eq('GET /orders')
+      expect(event.getMetadata('response', 'statusCode')).eq(500)
+      expect(event.getMetadata('response', 'route')).eq('/orders')
+      expect(event.getMetadata('response', 'durationMs')).to.be.a('number')
+      expect(event.getMetadata('request', 'path')).eq('/orders')
+      expect(events[1].events[0].errors[0].errorMessage).eq('GET /orders responded with 503')
+
+      expect(sessions).length(4)
+    })
+
+    it('does not notify excluded statuses', async () => {
+      const { events } = await requestWithStatus({ notifyOnStatus: [500, 599], excludeStatuses: [503] }, [500, 503])
+
+      expect(events).length(1)
+      expect(events[0].events[0].getMetadata('response', 'statusCode')).eq(500)
+    })
+
+    it('supports a predicate', async () => {
+      const predicate = sinon.fake((statusCode) => statusCode === 429)
+
+      const { events } = await requestWithStatus({ notifyOnStatus: predicate }, [200, 429, 500])
+
+      expect(events).length(1)
+      expect(events[0].events[0].getMetadata('response', 'statusCode')).eq(429)
+      expect(predicate.callCount).eq(3)
+      expect(predicate.firstCall.args[1].path).eq('/orders')
+    })
+
+    it('does not notify by default', async () => {
+      const { events } = await requestWithStatus({}, [500])
+
+      expect(events).length(0)
+    })
+
+    it('does not notify when "autoDetectErrors" is false', async () => {
+      const events = []
+
+      const client = createClient(events, [], { autoDetectErrors: false })
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler({ notifyOnStatus: [500, 599] })((req, res) => {
+        res.status(500).send('abc')
+      })
+
+      functions.http('fn', wrappedHandler)
+
+      await request(getTestServer('fn')).get('/')
+
+      expect(events).length(0)
+    })
+
+    it('rejects an invalid "notifyOnStatus"', () => {
+      const client = createClient([], [])
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      expect(() => plugin.createHttpHandler({ notifyOnStatus: 500 })).throws(TypeError)
+    })
+  })
+
+  describe('response', () => {
+    it('adds the response as metadata', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler()((req, res) => {
+        req.bugsnag.notify(new Error('before the response'))
+
+        res.set('set-cookie', 'session=secret')
+        res.set('x-custom', 'value')
+        res.write('héllo ')
+        res.end('world')
+
+        return new Promise(resolve => res.once('finish', resolve)).then(() => {
+          req.bugsnag.notify(new Error('after the response'))
+        })
+      })
+
+      functions.http('fn', wrappedHandler)
+
+      const res = await request(getTestServer('fn')).get('/')
+
+      expect(res.text).eq('héllo world')
+      expect(events).length(2)
+
+      const before = events[0].events[0].getMetadata('response')
+
+      expect(before).to.deep.include({
+        statusCode: undefined,
+        headersSent: false,
+        finished: false,
+        headers: undefined,
+        bytesWritten: 0,
+        timeToFirstByteMs: undefined,
+      })
+      expect(before.durationMs).to.be.a('number')
+
+      const after = events[1].events[0].getMetadata('response')
+
+      expect(after).to.deep.include({
+        statusCode: 200,
+        headersSent: true,
+        finished: true,
+        bytesWritten: 12,
+      })
+      expect(after.headers['set-cookie']).eq('[REDACTED]')
+      expect(after.headers['x-custom']).eq('value')
+      expect(after.timeToFirstByteMs).to.be.a('number')
+      expect(after.durationMs).to.be.at.least(after.timeToFirstByteMs)
+    })
+
+    it('adds the response of an error thrown after the response', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler()((req, res) => {
+        res.status(202).send('accepted')
+
+        throw new Error('oops')
+      })
+
+      functions.http('fn', wrappedHandler)
+
+      await request(getTestServer('fn')).get('/')
+
+      expect(events).length(1)
+      expect(events[0].events[0].getMetadata('response')).to.deep.include({
+        statusCode: 202,
+        headersSent: true,
+        bytesWritten: 8,
+      })
+    })
+  })
+
+  describe('streaming', () => {
+    it('adds the streaming state of the response', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler()((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+        res.write('data: 1\n\n')
+
+        req.bugsnag.notify(new Error('mid-stream'))
+
+        res.end('data: 2\n\n')
+      })
+
+      functions.http('fn', wrappedHandler)
+
+      await request(getTestServer('fn')).get('/')
+
+      expect(events).length(1)
+      expect(events[0].events[0].getMetadata('response')).to.deep.include({
+        headersSent: true,
+        finished: false,
+        streaming: true,
+        aborted: false,
+      })
+    })
+
+    it('notifies when the client disconnects', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler({ notifyClientAborts: true })((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+        res.write('data: 1\n\n')
+      })
+      let invocation
+
+      functions.http('fn', (req, res) => (invocation = wrappedHandler(req, res)))
+
+      const server = getTestServer('fn')
+
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+      try {
+        await new Promise((resolve, reject) => {
+          const req = http.get(`http://127.0.0.1:${server.address().port}/events`, res => {
+            res.once('data', () => {
+              req.destroy()
+              resolve()
+            })
+          })
+
+          req.on('error', () => {})
+        })
+
+        await invocation
+      } finally {
+        await new Promise(resolve => server.close(resolve))
+      }
+
+      expect(events).length(1)
+      expect(sessions).length(1)
+
+      const event = events[0].events[0]
+
+      expect(event.errors[0].errorClass).eq('ClientDisconnected')
+      expect(event.errors[0].errorMessage).to.match(/^Client disconnected from GET \/events after \d+ms, 9 bytes sent$/)
+      expect(event.severity).eq('warning')
+      expect(event.unhandled).eq(false)
+      expect(event.context).eq('GET /events')
+      expect(event.getMetadata('response')).to.deep.include({ streaming: true, aborted: true })
+    })
+
+    it('reports a response failing mid-stream as an unhandled error', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      // the session is sent once the invocation completes
+      const sessionSent = new Promise(resolve => {
+        client._delivery = {
+          sendEvent (payload, cb) {
+            events.push(payload)
+            cb()
+          },
+          sendSession (payload, cb) {
+            sessions.push(payload)
+            cb()
+            resolve()
+          },
+        }
+      })
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler({ notifyClientAborts: true })((req, res) => {
+        let chunks = 0
+
+        const body = new Readable({
+          read () {
+            chunks += 1
+
+            if (chunks > 2) {
+              this.destroy(new Error('upstream failed'))
+            } else {
+              this.push(`data: ${chunks}\n\n`)
+            }
+          },
+        })
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+        pipeline(body, res, () => {})
+      })
+
+      functions.http('fn', wrappedHandler)
+
+      const server = getTestServer('fn')
+
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+      try {
+        const req = http.get(`http://127.0.0.1:${server.address().port}/events`, res => { res.resume() })
+
+        req.on('error', () => {})
+
+        await sessionSent
+      } finally {
+        await new Promise(resolve => server.close(resolve))
+      }
+
+      expect(events).length(1)
+
+      const event = events[0].events[0]
+
+      expect(event.errors[0].errorMessage).eq('upstream failed')
+      expect(event.unhandled).eq(true)
+      expect(event._handledState.severityReason).to.deep.eq({ type: 'unhandledException' })
+      expect(event.getMetadata('response')).to.deep.include({ streaming: true, aborted: false })
+      expect(sessions[0].app.invocationOutcome).eq('unhandledError')
+    })
+
+    it('does not wait for a long-lived response forever', async () => {
+      const sessions = []
+      let sessionsWhenEnded
+
+      const client = createClient([], sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler({ maxResponseWaitMs: 10 })((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+        res.write('data: 1\n\n')
+
+        setTimeout(() => {
+          sessionsWhenEnded = sessions.length
+          res.end()
+        }, 100)
+      })
+
+      functions.http('fn', wrappedHandler)
+
+      await request(getTestServer('fn')).get('/')
+
+      expect(sessionsWhenEnded).eq(1)
+    })
+  })
+
+  describe('redaction', () => {
+    it('redacts the authorization headers by default', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler()(() => {
+        throw new Error('oops')
+      })
+
+      functions.http('fn', wrappedHandler)
+
+      await request(getTestServer('fn'))
+        .get('/')
+        .set('Authorization', 'Bearer secret')
+        .set('Cookie', 'session=secret')
+        .set('X-Custom', 'value')
+
+      const headers = events[0].events[0].getMetadata('request', 'headers')
+
+      expect(headers.authorization).eq('[REDACTED]')
+      expect(headers.cookie).eq('[REDACTED]')
+      expect(headers['x-custom']).eq('value')
+    })
+
+    it('keeps the allowed headers only', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler({
+        allowedHeaders: ['User-Agent', 'X-Api-Key'],
+        redactedHeaders: ['x-api-key'],
+      })((req, res) => {
+        res.set('x-request-id', 'abc')
+        res.send('ok')
+
+        req.bugsnag.notify(new Error('oops'))
+      })
+
+      functions.http('fn', wrappedHandler)
+
+      await request(getTestServer('fn'))
+        .get('/')
+        .set('User-Agent', 'test')
+        .set('X-Api-Key', 'secret')
+        .set('Referer', 'https://example.com')
+
+      const metadata = events[0].events[0].getMetadata('request')
+
+      expect(metadata.headers).to.deep.equal({ 'user-agent': 'test', 'x-api-key': '[REDACTED]' })
+      expect(metadata.referer).eq(undefined)
+      expect(events[0].events[0].getMetadata('response', 'headers')).to.deep.equal({})
+    })
+
+    it('does not capture the body', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler({ captureBody: 'none' })(() => {
+        throw new Error('oops')
+      })
+
+      functions.http('fn', wrappedHandler)
+
+      await request(getTestServer('fn')).post('/').send({ password: 'secret' })
+
+      expect(events[0].events[0].getMetadata('request', 'body')).eq(undefined)
+    })
+
+    it('truncates the body', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler({ captureBody: 'truncated', maxBodySize: 100 })(() => {
+        throw new Error('oops')
+      })
+
+      functions.http('fn', wrappedHandler)
+
+      await request(getTestServer('fn')).post('/').send({ id: 1, text: 'a'.repeat(1000) })
+
+      const body = events[0].events[0].getMetadata('request', 'body')
+
+      expect(JSON.stringify(body).length).to.be.at.most(100)
+      expect(body.id).eq(1)
+      expect(body.text).to.match(/^a+…\(truncated \d+ characters\)$/)
+    })
+
+    it('throws on an unknown body mode', () => {
+      const client = createClient([], [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      expect(() => plugin.createHttpHandler({ captureBody: 'some' })).to.throw(TypeError)
+      expect(() => plugin.createCloudEventHandler({ captureBody: 'some' })).to.throw(TypeError)
+    })
+
+    it('caps the size of every tab', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const items = Array.from({ length: 100 }, (_, index) => ({ index, name: `item ${index}` }))
+
+      const wrappedHandler = plugin.createCloudEventHandler({ maxMetadataSize: 1000 })(async (cloudEvent) => {
+        const bugsnag = plugin.getInvocationClient()
+
+        bugsnag.addMetadata('custom', { items, note: 'b'.repeat(5000) })
+
+        throw new Error('oops')
+      })
+
+      functions.cloudEvent('fn', wrappedHandler)
+
+      await request(getTestServer('fn'))
+        .post('/')
+        .send({ ...cloudEvent, data: { items } })
+
+      const event = events[0].events[0]
+
+      expect(JSON.stringify(event.getMetadata('cloudevent')).length).to.be.at.most(1000)
+      expect(event.getMetadata('cloudevent', 'id')).eq(cloudEvent.id)
+      expect(event.getMetadata('cloudevent', 'data').items.pop()).to.match(/^…\(truncated \d+ items\)$/)
+
+      const custom = event.getMetadata('custom')
+
+      expect(JSON.stringify(custom).length).to.be.at.most(1000)
+      expect(custom.note).to.match(/…\(truncated \d+ characters\)$/)
+    })
+
+    it('only replaces the circular references when capping the size', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const shared = { x: 1 }
+      const parent = { shared, again: shared }
+
+      parent.self = parent
+
+      const wrappedHandler = plugin.createCloudEventHandler({ maxMetadataSize: 200 })(async (cloudEvent) => {
+        plugin.getInvocationClient().addMetadata('custom', { p: shared, q: shared, parent, big: 'x'.repeat(200) })
+
+        throw new Error('oops')
+      })
+
+      await wrappedHandler(cloudEvent).catch(() => {})
+
+      const custom = events[0].events[0].getMetadata('custom')
+
+      expect(custom.p).to.deep.eq({ x: 1 })
+      expect(custom.q).to.deep.eq({ x: 1 })
+      expect(custom.parent).to.deep.include({ shared: { x: 1 }, again: { x: 1 }, self: '[Circular]' })
+      expect(custom.big).to.match(/…\(truncated \d+ characters\)$/)
+    })
+
+    it('redacts the paths of the cloudevent data', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      let data
+
+      const wrappedHandler = plugin.createCloudEventHandler({
+        redactedDataPaths: ['message.attributes.token', 'users.*.email'],
+      })(async (cloudEvent) => {
+        data = cloudEvent.data
+
+        throw new Error('oops')
+      })
+
+      functions.cloudEvent('fn', wrappedHandler)
+
+      await request(getTestServer('fn'))
+        .post('/')
+        .send({
+          ...pubsubCloudEvent,
+          data: {
+            ...pubsubCloudEvent.data,
+            message: { ...pubsubCloudEvent.data.message, attributes: { origin: 'test', token: 'secret' } },
+            users: [{ id: 1, email: 'jane@example.com' }, { id: 2, email: 'john@example.com' }],
+          },
+        })
+
+      const event = events[0].events[0]
+
+      expect(event.getMetadata('cloudevent', 'data').message.attributes).to.deep.equal({ origin: 'test', token: '[REDACTED]' })
+      expect(event.getMetadata('cloudevent', 'data').users).to.deep.equal([
+        { id: 1, email: '[REDACTED]' },
+        { id: 2, email: '[REDACTED]' },
+      ])
+      expect(event.getMetadata('pubsub', 'attributes')).to.deep.equal({ origin: 'test', token: '[REDACTED]' })
+
+      // the handler still gets the data as it is
+      expect(data.message.attributes.token).eq('secret')
+    })
+  })
+
+  describe('apps', () => {
+    it('reports the errors reaching the final handler of an express app', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const app = express()
+
+      app.get('/orders/:id', () => {
+        throw new Error('oops')
+      })
+
+      functions.http('fn', plugin.createHttpHandler()(app))
+
+      const res = await request(getTestServer('fn')).get('/orders/123')
+
+      expect(res.status).eq(500)
+      expect(res.text).to.contain('Error: oops')
+      expect(events).length(1)
+
+      const event = events[0].events[0]
+
+      expect(event.errors[0].errorMessage).eq('oops')
+      expect(event.context).eq('GET /orders/:id')
+      expect(event._handledState).to.deep.equal({
+        severity: 'error',
+        unhandled: true,
+        severityReason: { type: 'unhandledErrorMiddleware', attributes: { framework: 'Express/Connect' } },
+      })
+      expect(event.getMetadata('request', 'path')).eq('/orders/123')
+      expect(event.getMetadata('function', 'invocationNumber')).eq(1)
+    })
+
+    it('reports the errors passed to next', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const app = express()
+
+      app.post('/orders', (req, res, next) => {
+        setTimeout(() => next(Object.assign(new Error('unavailable'), { status: 503 })))
+      })
+
+      functions.http('fn', plugin.createHttpHandler()(app))
+
+      const res = await request(getTestServer('fn')).post('/orders')
+
+      expect(res.status).eq(503)
+      expect(events).length(1)
+      expect(events[0].events[0].errors[0].errorMessage).eq('unavailable')
+      expect(events[0].events[0].context).eq('POST /orders')
+    })
+
+    it('does not report client errors and unmatched routes', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const app = express()
+
+      app.get('/orders/:id', (req, res, next) => {
+        next(Object.assign(new Error('not found'), { status: 404 }))
+      })
+
+      functions.http('fn', plugin.createHttpHandler()(app))
+
+      const notFound = await request(getTestServer('fn')).get('/orders/123')
+
+      expect(notFound.status).eq(404)
+
+      const unmatched = await request(getTestServer('fn')).get('/customers')
+
+      expect(unmatched.status).eq(404)
+      expect(unmatched.text).eq('Cannot GET /customers')
+
+      expect(events).length(0)
+    })
+
+    it('uses the route as the context of the events notified by the app', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const app = express()
+      const router = express.Router()
+
+      router.get('/:id', (req, res) => {
+        req.bugsnag.notify(new Error('oops'))
+
+        res.send('ok')
+      })
+
+      app.use('/orders', router)
+
+      functions.http('fn', plugin.createHttpHandler()(app))
+
+      const res = await request(getTestServer('fn')).get('/orders/123')
+
+      expect(res.text).eq('ok')
+      expect(events).length(1)
+      expect(events[0].events[0].context).eq('GET /orders/:id')
+    })
+
+    it('does not report twice the errors reported by @bugsnag/plugin-express', async () => {
+      const events = []
+
+      const client = createClient(events, [], { plugins: [BugsnagPluginCloudRunFunction, BugsnagPluginExpress] })
+
+      client._clientContext = new AsyncLocalStorage()
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const middleware = client.getPlugin('express')
+      const app = express()
+
+      app.use(middleware.requestHandler)
+      app.get('/', () => {
+        throw new Error('oops')
+      })
+      app.use(middleware.errorHandler)
+
+      functions.http('fn', plugin.createHttpHandler()(app))
+
+      const res = await request(getTestServer('fn')).get('/')
+
+      expect(res.status).eq(500)
+      expect(events).length(1)
+      expect(events[0].events[0]._handledState.severityReason.attributes).to.deep.equal({ framework: 'Express/Connect' })
+    })
+
+    it('does not report the error response of a reported error again', async () => {
+      const events = []
+
+      const client = createClient(events, [], { plugins: [BugsnagPluginCloudRunFunction, BugsnagPluginExpress] })
+
+      client._clientContext = new AsyncLocalStorage()
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const middleware = client.getPlugin('express')
+      const app = express()
+
+      app.use(middleware.requestHandler)
+      app.get('/orders/:id', () => {
+        throw new Error('oops')
+      })
+      app.get('/customers/:id', (req, res, next) => {
+        next(new Error('failed'))
+      })
+      app.use('/customers', middleware.errorHandler)
+
+      functions.http('fn', plugin.createHttpHandler({ notifyOnStatus: [500, 599] })(app))
+
+      const orders = await request(getTestServer('fn')).get('/orders/123')
+      const customers = await request(getTestServer('fn')).get('/customers/123')
+
+      expect(orders.status).eq(500)
+      expect(customers.status).eq(500)
+      expect(events).length(2)
+      expect(events.map(payload => payload.events[0].errors[0].errorMessage)).to.deep.equal(['oops', 'failed'])
+    })
+
+    it('reports the errors emitted by a koa app', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      // the error handling of a Koa app, which responds and emits the error
+      class KoaApp extends EventEmitter {
+        use () {}
+
+        callback () {
+          return async (req, res) => {
+            const err = new Error('oops')
+
+            this.emit('error', err, { req, res })
+
+            res.statusCode = 500
+            res.end('Internal Server Error')
+          }
+        }
+      }
+
+      functions.http('fn', plugin.createHttpHandler({ notifyOnStatus: [500, 599] })(new KoaApp()))
+
+      const res = await request(getTestServer('fn')).get('/')
+
+      expect(res.status).eq(500)
+      expect(events).length(1)
+      expect(events[0].events[0].errors[0].errorMessage).eq('oops')
+      expect(events[0].events[0]._handledState.severityReason).to.deep.equal({
+        type: 'unhandledErrorMiddleware',
+        attributes: { framework: 'Koa' },
+      })
+    })
+  })
+
+  describe('route context', () => {
+    it('uses the method and path as the context', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      functions.http('fn', plugin.createHttpHandler()(() => {
+        throw new Error('oops')
+      }))
+
+      await request(getTestServer('fn')).delete('/users/123?force=true')
+
+      expect(events).length(1)
+      expect(events[0].events[0].context).eq('DELETE /users/123')
+    })
+
+    it('keeps the context set by the handler', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      functions.http('fn', plugin.createHttpHandler()((req) => {
+        req.bugsnag.setContext('delete user')
+
+        throw new Error('oops')
+      }))
+
+      await request(getTestServer('fn')).delete('/users/123')
+
+      expect(events[0].events[0].context).eq('delete user')
+    })
+
+    it('uses the matching route template', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const routes = ['/users/:id', '/users/:id/orders/:orderId', '/files/*']
+
+      functions.http('fn', plugin.createHttpHandler({ routes })(() => {
+        throw new Error('oops')
+      }))
+
+      const app = getTestServer('fn')
+
+      await request(app).get('/users/123/')
+      await request(app).get('/users/123/orders/456')
+      await request(app).get('/files/a/b.txt')
+      await request(app).get('/health')
+
+      expect(events.map(payload => payload.events[0].context)).to.deep.equal([
+        'GET /users/:id',
+        'GET /users/:id/orders/:orderId',
+        'GET /files/*',
+        'GET /health',
+      ])
+    })
+
+    it('normalises the path with a function', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const routes = path => path
+        .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g, ':uuid')
+        .replace(/\/\d+/g, '/:id')
+
+      functions.http('fn', plugin.createHttpHandler({ routes, notifyOnStatus: [500, 599] })((req, res) => {
+        res.status(500).send()
+      }))
+
+      const app = getTestServer('fn')
+
+      await request(app).get('/orders/4df34f10-6ede-468d-9515-4ddd5ee26d56/items/2')
+      await request(app).get('/orders/12837474-9357-3142-6000-000000000000/items/3')
+
+      expect(events).length(2)
+
+      const [first, second] = events.map(payload => payload.events[0])
+
+      expect(first.context).eq('GET /orders/:uuid/items/:id')
+      expect(first.errors[0].errorMessage).eq('GET /orders/:uuid/items/:id responded with 500')
+      expect(first.groupingHash).eq('ResponseStatusError GET /orders/:uuid/items/:id 500')
+      expect(second.groupingHash).eq(first.groupingHash)
+    })
+
+    it('throws on invalid routes', () => {
+      const client = createClient([], [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      expect(() => plugin.createHttpHandler({ routes: '/users/:id' })).to.throw(TypeError)
+      expect(() => plugin.createHttpHandler({ routes: [/users/] })).to.throw(TypeError)
+    })
+  })
+
+  describe('retries', () => {
+    it('counts the delivery attempts of an event', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      let fail = true
+
+      const wrappedHandler = plugin.createCloudEventHandler()(async () => {
+        if (fail) {
+          throw new Error('oops')
+        }
+      })
+
+      functions.cloudEvent('fn', wrappedHandler)
+
+      const app = getTestServer('fn')
+      const time = new Date(Date.now() - 60000).toISOString()
+
+      await request(app).post('/').send({ ...cloudEvent, time })
+      await request(app).post('/').send({ ...cloudEvent, time })
+
+      fail = false
+
+      await request(app).post('/').send({ ...cloudEvent, time })
+
+      fail = true
+
+      // the event is not retried any more once it succeeds
+      await request(app).post('/').send({ ...cloudEvent, time })
+
+      expect(events).length(3)
+
+      const deliveries = events.map(payload => payload.events[0].getMetadata('delivery'))
+
+      expect(deliveries.map(delivery => delivery.attempt)).to.deep.equal([1, 2, 1])
+      expect(deliveries[0].deliveryAttempt).eq(undefined)
+      expect(deliveries[0].eventAgeMs).to.be.within(60000, 70000)
+    })
+
+    it('only notifies the first attempt', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler({ notifyAttempts: 'first' })(async () => {
+        throw new Error('oops')
+      })
+
+      functions.cloudEvent('fn', wrappedHandler)
+
+      const app = getTestServer('fn')
+
+      await request(app).post('/').send(cloudEvent)
+      await request(app).post('/').send(cloudEvent)
+      await request(app).post('/').send(cloudEvent)
+
+      expect(events).length(1)
+      expect(events[0].events[0].getMetadata('delivery', 'attempt')).eq(1)
+    })
+
+    it('only notifies the final attempt', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler({
+        notifyAttempts: 'final',
+        maxDeliveryAttempts: 5,
+      })(async () => {
+        throw new Error('oops')
+      })
+
+      functions.cloudEvent('fn', wrappedHandler)
+
+      const app = getTestServer('fn')
+
+      // the attempts may be served by other instances, so the delivery
+      // attempt counted by Pub/Sub is preferred
+      for (const deliveryAttempt of [1, 4, 5]) {
+        await request(app).post('/').send({
+          ...pubsubCloudEvent,
+          data: { ...pubsubCloudEvent.data, deliveryAttempt },
+        })
+      }
+
+      const failures = events.map(payload => payload.events[0]).filter(event => event.unhandled)
+
+      expect(failures).length(1)
+      expect(failures[0].getMetadata('delivery')).to.deep.include({ attempt: 5, deliveryAttempt: 5 })
+    })
+
+    it('drops the events older than the max event age', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const handler = sinon.spy()
+
+      functions.cloudEvent('fn', plugin.createCloudEventHandler({ maxEventAgeMs: 3600000 })(handler))
+
+      const app = getTestServer('fn')
+
+      const res = await request(app).post('/').send({ ...cloudEvent, time: new Date(Date.now() - 7200000).toISOString() })
+
+      expect(res.status).to.be.within(200, 299)
+      expect(handler.called).eq(false)
+      expect(events).length(1)
+
+      const event = events[0].events[0]
+
+      expect(event.errors[0].errorClass).eq('CloudEventExpired')
+      expect(event.errors[0].errorMessage).to.match(/^Dropped CloudEvent 4df34f10-6ede-468d-9515-4ddd5ee26d56 of type com\.github\.pull\.create, \d+ms old \(max 3600000ms\)$/)
+      expect(event.severity).eq('warning')
+      expect(event.unhandled).eq(false)
+
+      await request(app).post('/').send({ ...cloudEvent, time: new Date().toISOString() })
+
+      expect(handler.calledOnce).eq(true)
+      expect(events).length(1)
+    })
+
+    it('throws on invalid attempts to notify', () => {
+      const client = createClient([], [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      expect(() => plugin.createCloudEventHandler({ notifyAttempts: 'last' })).to.throw(TypeError)
+      expect(() => plugin.createCloudEventHandler({ notifyAttempts: 'final' })).to.throw(TypeError)
+    })
+  })
+
+  describe('dead-letter', () => {
+    const deliver = (app, deliveryAttempt, message = {}) => request(app).post('/').send({
+      ...pubsubCloudEvent,
+      data: {
+        ...pubsubCloudEvent.data,
+        message: { ...pubsubCloudEvent.data.message, ...message },
+        deliveryAttempt,
+      },
+    })
+
+    it('groups the failures of a message', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      let attempt = 0
+
+      functions.cloudEvent('fn', plugin.createCloudEventHandler()(async () => {
+        attempt++
+
+        // the failures of the attempts differ, but the message is the same
+        throw attempt === 1 ? new TypeError('oops') : new Error('oops again')
+      }))
+
+      const app = getTestServer('fn')
+
+      await deliver(app, 1)
+      await deliver(app, 2)
+      await deliver(app, 1, { messageId: '42' })
+
+      expect(events).length(3)
+      expect(events.map(payload => payload.events[0].groupingHash)).to.deep.equal([
+        'pubsub projects/my-project/subscriptions/my-subscription 12837474935731426',
+        'pubsub projects/my-project/subscriptions/my-subscription 12837474935731426',
+        'pubsub projects/my-project/subscriptions/my-subscription 42',
+      ])
+    })
+
+    it('does not group the failures without a dead-letter topic', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      functions.cloudEvent('fn', plugin.createCloudEventHandler()(async () => {
+        throw new Error('oops')
+      }))
+
+      await request(getTestServer('fn')).post('/').send(pubsubCloudEvent)
+
+      expect(events).length(1)
+      expect(events[0].events[0].groupingHash).eq(undefined)
+    })
+
+    it('notifies when the message is sent to the dead-letter topic', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      functions.cloudEvent('fn', plugin.createCloudEventHandler({ maxDeliveryAttempts: 3 })(async () => {
+        throw new Error('oops')
+      }))
+
+      const app = getTestServer('fn')
+
+      await deliver(app, 2)
+
+      expect(events).length(1)
+
+      await deliver(app, 3)
+
+      expect(events).length(3)
+
+      const deadLettered = events.map(payload => payload.events[0]).find(event => !event.unhandled)
+
+      expect(deadLettered.errors[0].errorClass).eq('PubSubMessageDeadLettered')
+      expect(deadLettered.errors[0].errorMessage).eq('Message 12837474935731426 sent to the dead-letter topic after 3 delivery attempts')
+      expect(deadLettered.severity).eq('error')
+      expect(deadLettered.groupingHash).eq('PubSubMessageDeadLettered projects/my-project/subscriptions/my-subscription')
+      expect(deadLettered.context).eq('my-topic')
+      expect(deadLettered.getMetadata('deadLetter')).to.deep.equal({
+        messageId: '12837474935731426',
+        subscription: 'projects/my-project/subscriptions/my-subscription',
+        attempts: 3,
+        errorClass: 'Error',
+        errorMessage: 'oops',
+      })
+      expect(deadLettered.getMetadata('pubsub', 'attributes')).to.deep.equal({ origin: 'test' })
+      expect(deadLettered.getMetadata('pubsub', 'payload')).to.deep.equal({ orderId: 123 })
+    })
+  })
+
+  describe('session stats', () => {
+    it('adds the outcome of the invocation to the session', async () => {
+      const sessions = []
+
+      const client = createClient([], sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler()(async (cloudEvent) => {
+        const bugsnag = plugin.getInvocationClient()
+
+        if (cloudEvent.data.outcome === 'handledError') {
+          bugsnag.notify(new Error('handled'))
+        }
+
+        if (cloudEvent.data.outcome === 'unhandledError') {
+          throw new Error('unhandled')
+        }
+      })
+
+      for (const outcome of ['success', 'handledError', 'unhandledError']) {
+        await wrappedHandler({ ...cloudEvent, data: { outcome } }).catch(() => {})
+      }
+
+      expect(sessions).length(3)
+
+      sessions.forEach(session => {
+        expect(session.app.invocationDurationMs).to.be.a('number')
+        expect(session.app.trigger).eq('com.github.pull.create')
+      })
+
+      expect(sessions.map(session => session.app.invocationOutcome)).to.deep.equal(['success', 'handledError', 'unhandledError'])
+      expect(sessions.map(session => session.app.coldStart)).to.deep.equal([true, false, false])
+    })
+
+    it('adds the trigger of http function to the session', async () => {
+      const sessions = []
+
+      const client = createClient([], sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      process.env.FUNCTION_TARGET = 'fn'
+
+      try {
+        const wrappedHandler = plugin.createHttpHandler()((req, res) => { res.send('ok') })
+        let invocation
+
+        functions.http('fn', (req, res) => (invocation = wrappedHandler(req, res)))
+
+        await request(getTestServer('fn')).get('/')
+
+        // the session is sent once the invocation completes
+        await invocation
+      } finally {
+        delete process.env.FUNCTION_TARGET
+      }
+
+      expect(sessions).length(1)
+      expect(sessions[0].app).to.deep.include({ invocationOutcome: 'success', trigger: 'http', functionTarget: 'fn' })
+    })
+
+    it('sends the session when the request is closed before the response', async () => {
+      const sessions = []
+      let started
+      let finish
+
+      const client = createClient([], sessions)
+
+      const sessionSent = new Promise(resolve => {
+        client._delivery = {
+          sendEvent (payload, cb) {
+            cb()
+          },
+          sendSession (payload, cb) {
+            sessions.push(payload)
+            cb()
+            resolve()
+          },
+        }
+      })
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      // the timeout of the function is not known
+      const handlerStarted = new Promise(resolve => { started = resolve })
+      const wrappedHandler = plugin.createHttpHandler()(() => new Promise(resolve => {
+        finish = resolve
+        started()
+      }))
+      let invocation
+
+      functions.http('fn', (req, res) => (invocation = wrappedHandler(req, res)))
+
+      const server = getTestServer('fn')
+
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+      try {
+        const req = http.get(`http://127.0.0.1:${server.address().port}/`)
+
+        req.on('error', () => {})
+
+        await handlerStarted
+        req.destroy()
+        await sessionSent
+
+        expect(sessions).length(1)
+        expect(sessions[0].app.invocationOutcome).eq('aborted')
+
+        finish()
+        await invocation
+
+        // the session is only sent once
+        expect(sessions).length(1)
+      } finally {
+        await new Promise(resolve => server.close(resolve))
+      }
+    })
+
+    it('flushes the session of an invocation without events once', async () => {
+      const sessions = []
+
+      const client = createClient([], sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const flush = sinon.spy(BugsnagInFlightPlugin, 'flush')
+
+      try {
+        await plugin.createCloudEventHandler()(async () => 'abc')(cloudEvent)
+      } finally {
+        flush.restore()
+      }
+
+      expect(sessions).length(1)
+      expect(sessions[0].app.invocationOutcome).eq('success')
+      expect(flush.calledOnce).eq(true)
+    })
+
+    it('sends the session when the function is about to timeout', async () => {
+      const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+
+      try {
+        const sessions = []
+
+        const client = createClient([], sessions)
+
+        const plugin = client.getPlugin('CloudRunFunctions')
+
+        if (!plugin) {
+          throw new Error('Plugin was not loaded!')
+        }
+
+        const wrappedHandler = plugin.createCloudEventHandler({ timeoutMs: 5000 })(() => new Promise(resolve => setTimeout(resolve, 10000)))
+
+        const invocation = wrappedHandler(cloudEvent)
+
+        await clock.tickAsync(4000)
+
+        expect(sessions).length(1)
+        expect(sessions[0].app).to.deep.include({ invocationOutcome: 'timeout', invocationDurationMs: 4000 })
+
+        await clock.tickAsync(6000)
+        await invocation
+
+        // the session is only sent once
+        expect(sessions).length(1)
+      } finally {
+        clock.restore()
+      }
+    })
+  })
+
+  describe('session aggregation', () => {
+    let listeners
+
+    // the aggregated sessions are sent on SIGTERM, restore the listeners of
+    // the signal so the process isn't terminated by a later test
+    beforeEach(() => {
+      listeners = process.listeners('SIGTERM')
+    })
+
+    afterEach(() => {
+      process.removeAllListeners('SIGTERM')
+      listeners.forEach(listener => process.on('SIGTERM', listener))
+    })
+
+    it('sends the session counts on a timer', async () => {
+      const clock = sinon.useFakeTimers({ now: Date.parse('2024-10-14T10:13:10.178Z'), toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+
+      try {
+        const events = []
+        const sessions = []
+
+        const client = createClient(events, sessions)
+
+        const plugin = client.getPlugin('CloudRunFunctions')
+
+        if (!plugin) {
+          throw new Error('Plugin was not loaded!')
+        }
+
+        const wrappedHandler = plugin.createCloudEventHandler({ aggregateSessions: true })(async (cloudEvent) => {
+          if (cloudEvent.data.fail) {
+            throw new Error('oops')
+          }
+        })
+
+        await wrappedHandler({ ...cloudEvent, data: {} })
+        // the next minute, the counts are only sent a minute after the first
+        await clock.tickAsync(50000)
+        await wrappedHandler({ ...cloudEvent, data: {} })
+        await wrappedHandler({ ...cloudEvent, data: { fail: true } }).catch(() => {})
+
+        // the events are still delivered by the invocation
+        expect(events).length(1)
+        expect(sessions).length(0)
+
+        await clock.tickAsync(10000)
+
+        expect(sessions).length(1)
+        expect(sessions[0].sessions).eq(undefined)
+        expect(sessions[0].sessionCounts).to.deep.equal([
+          { startedAt: '2024-10-14T10:13:00.000Z', sessionsStarted: 1 },
+          { startedAt: '2024-10-14T10:14:00.000Z', sessionsStarted: 2 },
+        ])
+        expect(sessions[0].app).to.deep.include({
+          invocationOutcomes: { success: 2, unhandledError: 1 },
+          coldStarts: 1,
+          averageInvocationDurationMs: 0,
+        })
+        expect(sessions[0].app.releaseStage).eq('production')
+      } finally {
+        clock.restore()
+      }
+    })
+
+    it('sends the session counts once the threshold is reached', async () => {
+      const sessions = []
+
+      const client = createClient([], sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler({ aggregateSessions: true, sessionFlushThreshold: 2 })(async () => {})
+
+      await wrappedHandler(cloudEvent)
+
+      expect(sessions).length(0)
+
+      await wrappedHandler(cloudEvent)
+
+      expect(sessions).length(1)
+      expect(sessions[0].sessionCounts[0].sessionsStarted).eq(2)
+    })
+
+    it('sends the session counts when the instance is shut down', async () => {
+      const sessions = []
+      const exit = sinon.fake()
+
+      process.on('SIGTERM', exit)
+
+      const client = createClient([], sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler({ aggregateSessions: true })(async () => {})
+
+      await wrappedHandler(cloudEvent)
+
+      expect(sessions).length(0)
+
+      process.emit('SIGTERM', 'SIGTERM')
+
+      // the listener installed before is only called once the sessions are sent
+      expect(exit.called).eq(false)
+
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      expect(sessions).length(1)
+      expect(exit.calledOnceWith('SIGTERM')).eq(true)
+    })
+  })
+
+  describe('shutdown', () => {
+    let listeners
+
+    beforeEach(() => {
+      listeners = process.listeners('SIGTERM')
+    })
+
+    afterEach(() => {
+      process.removeAllListeners('SIGTERM')
+      listeners.forEach(listener => process.on('SIGTERM', listener))
+    })
+
+    it('flushes the invocations in flight when the instance is shut down', async () => {
+      const events = []
+      const sessions = []
+      const exit = sinon.fake()
+
+      process.on('SIGTERM', exit)
+
+      const client = createClient(events, sessions)
+
+      // the signal is passed on once the session is delivered
+      client._delivery = {
+        sendEvent (payload, cb) {
+          events.push(payload)
+          cb()
+        },
+        sendSession (payload, cb) {
+          sessions.push(payload)
+          setTimeout(cb, 20)
+        },
+      }
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      let fail
+      const handler = () => new Promise((resolve, reject) => { fail = reject })
+
+      const wrappedHandler = plugin.createCloudEventHandler({ flushOnShutdown: true })(handler)
+      const result = wrappedHandler(cloudEvent).catch(err => err)
+
+      process.emit('SIGTERM', 'SIGTERM')
+      await new Promise(resolve => setImmediate(resolve))
+
+      // the session of the invocation still running is sent right away
+      expect(sessions).length(1)
+      expect(sessions[0].app.invocationOutcome).eq('shutdown')
+      expect(exit.called).eq(false)
+
+      fail(new Error('connection closed'))
+
+      expect(await result).to.be.an('error')
+      expect(events).length(1)
+      expect(sessions).length(1)
+
+      const event = events[0].events[0]
+
+      expect(event.getMetadata('shutdown')).to.deep.include({ signal: 'SIGTERM', activeInvocations: 1 })
+      expect(event.breadcrumbs.map(breadcrumb => breadcrumb.message)).to.include('Instance shutting down')
+
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      expect(exit.calledOnceWith('SIGTERM')).eq(true)
+    })
+
+    it('does not listen to SIGTERM by default', async () => {
+      const client = createClient([], [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler()(async () => {})
+
+      await wrappedHandler(cloudEvent)
+
+      expect(process.listeners('SIGTERM')).to.deep.equal(listeners)
+    })
+  })
+
+  describe('background work', () => {
+    it('reports the rejections of the work done after the response', async () => {
+      const events = []
+      const sessions = []
+
+      const client = createClient(events, sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createHttpHandler()((req, res) => {
+        res.send('ok')
+
+        req.waitUntil(new Promise((resolve, reject) => {
+          setTimeout(() => reject(new Error('after the response')), 20)
+        }))
+      })
+      let invocation
+
+      functions.http('fn', (req, res) => (invocation = wrappedHandler(req, res)))
+
+      const res = await request(getTestServer('fn')).get('/orders')
+
+      expect(res.text).eq('ok')
+
+      await invocation
+
+      expect(events).length(1)
+
+      const event = events[0].events[0]
+
+      expect(event.errors[0].errorMessage).eq('after the response')
+      expect(event.unhandled).eq(true)
+      expect(event._handledState.severityReason).to.deep.eq({ type: 'unhandledPromiseRejection' })
+      expect(event.context).eq('GET /orders')
+      expect(sessions).length(1)
+      expect(sessions[0].app.invocationOutcome).eq('unhandledError')
+    })
+
+    it('waits for the background work before completing', async () => {
+      const sessions = []
+      let completed = false
+
+      const client = createClient([], sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler()(async (cloudEvent, { waitUntil }) => {
+        waitUntil(new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+          // the work started meanwhile is waited for too
+          plugin.waitUntil(new Promise(resolve => setTimeout(resolve, 10)).then(() => { completed = true }))
+        }))
+      })
+
+      await wrappedHandler(cloudEvent)
+
+      expect(completed).eq(true)
+      expect(sessions).length(1)
+      expect(sessions[0].app.invocationOutcome).eq('success')
+    })
+
+    it('waits for the background work of a synchronous handler', async () => {
+      const sessions = []
+      let completed = false
+
+      const client = createClient([], sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler()((cloudEvent) => {
+        plugin.waitUntil(new Promise(resolve => setTimeout(resolve, 10)).then(() => { completed = true }))
+
+        return 'ok'
+      })
+
+      expect(await wrappedHandler(cloudEvent)).eq('ok')
+      expect(completed).eq(true)
+      expect(sessions).length(1)
+
+      // there is nothing to wait for outside of an invocation
+      expect(() => plugin.waitUntil(Promise.resolve())).not.to.throw()
+    })
+
+    it('stops waiting for the background work after the timeout', async () => {
+      const sessions = []
+
+      const client = createClient([], sessions)
+      client._logger.warn = sinon.fake()
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler({ waitUntilTimeoutMs: 10 })((cloudEvent) => {
+        plugin.waitUntil(new Promise(() => {}))
+      })
+
+      await wrappedHandler(cloudEvent)
+
+      expect(client._logger.warn.calledOnceWith('Background work did not complete within 10ms')).eq(true)
+      expect(sessions).length(1)
+    })
+  })
+
+  describe('process errors', () => {
+    const names = ['uncaughtException', 'unhandledRejection']
+    let listeners
+
+    // the listeners of mocha are restored once the test completes
+    beforeEach(() => {
+      listeners = names.map(name => process.listeners(name))
+      names.forEach(name => { process.removeAllListeners(name) })
+    })
+
+    afterEach(() => {
+      names.forEach((name, i) => {
+        process.removeAllListeners(name)
+        listeners[i].forEach(listener => process.on(name, listener))
+      })
+    })
+
+    it('reports an uncaught exception for the invocation which raised it', async () => {
+      const events = []
+      const sessions = []
+      const error = new Error('uncaught')
+
+      const client = createClient(events, sessions)
+
+      // the Functions Framework listens once the function is loaded
+      const crash = sinon.fake()
+
+      process.on('uncaughtException', crash)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler()(async () => {
+        process.emit('uncaughtException', error, 'uncaughtException')
+
+        // the process exits once the event is delivered
+        expect(crash.called).eq(false)
+
+        return new Promise(() => {})
+      })
+
+      wrappedHandler(cloudEvent)
+
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      expect(crash.calledOnceWith(error, 'uncaughtException')).eq(true)
+      expect(events).length(1)
+
+      const event = events[0].events[0]
+
+      expect(event.errors[0].errorMessage).eq('uncaught')
+      expect(event.unhandled).eq(true)
+      expect(event._handledState.severityReason).to.deep.eq({ type: 'unhandledException' })
+      expect(event.getMetadata('cloudevent')).to.deep.eq(cloudEvent)
+      expect(sessions).length(1)
+      expect(sessions[0].app.invocationOutcome).eq('unhandledError')
+    })
+
+    const rejectUnhandled = async (options, event) => {
+      const events = []
+      const error = new Error('rejected')
+
+      const client = createNodeClient(events, [])
+
+      // the Functions Framework listens once the function is loaded, after
+      // the listener of @bugsnag/node
+      let crash
+      const crashed = new Promise(resolve => { crash = sinon.fake(resolve) })
+
+      process.on('unhandledRejection', crash)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const wrappedHandler = plugin.createCloudEventHandler(options)(() => {
+        Promise.reject(error)
+
+        return new Promise(() => {})
+      })
+
+      wrappedHandler(event)
+
+      await crashed
+
+      expect(crash.calledOnceWith(error)).eq(true)
+
+      return events
+    }
+
+    it('does not report twice the rejections reported by @bugsnag/node', async () => {
+      const events = await rejectUnhandled({}, cloudEvent)
+
+      expect(events).length(1)
+      expect(events[0].events[0]._handledState.severityReason).to.deep.eq({ type: 'unhandledPromiseRejection' })
+      expect(events[0].events[0].getMetadata('cloudevent')).to.deep.eq(cloudEvent)
+    })
+
+    it('does not report twice the rejections reported by @bugsnag/node with async callbacks', async () => {
+      // the trace callback waits for the project id of the metadata server
+      delete process.env.GOOGLE_CLOUD_PROJECT
+      delete process.env.GCLOUD_PROJECT
+      delete process.env.GCP_PROJECT
+      process.env.GCE_METADATA_HOST = '127.0.0.1:1'
+
+      try {
+        const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'
+        const events = await rejectUnhandled({ metadataServer: true }, { ...cloudEvent, traceparent })
+
+        expect(events).length(1)
+        expect(events[0].events[0]._handledState.severityReason).to.deep.eq({ type: 'unhandledPromiseRejection' })
+      } finally {
+        delete process.env.GCE_METADATA_HOST
+      }
+    })
+  })
+
+  describe('functions framework instrumentation', () => {
+    // the module is not exported by the package
+    const registry = require(path.join(path.dirname(require.resolve('@google-cloud/functions-framework')), 'function_registry'))
+
+    afterEach(() => {
+      ['http', 'cloudEvent'].forEach(type => {
+        registry[type] = registry[type]._original || registry[type]
+      })
+    })
+
+    it('wraps the functions registered with the functions framework', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      plugin.instrumentFunctionsFramework()
+
+      functions.http('fn', () => {
+        throw new Error('http')
+      })
+      functions.cloudEvent('cloudEventFn', () => {
+        throw new Error('cloudevent')
+      })
+
+      await request(getTestServer('fn')).get('/orders')
+      await request(getTestServer('cloudEventFn'))
+        .post('/')
+        .send(cloudEvent)
+        .set('Content-Type', 'application/cloudevents+json')
+
+      expect(events).length(2)
+      expect(events[0].events[0].errors[0].errorMessage).eq('http')
+      expect(events[0].events[0].getMetadata('request').path).eq('/orders')
+      expect(events[1].events[0].errors[0].errorMessage).eq('cloudevent')
+      expect(events[1].events[0].getMetadata('cloudevent').id).eq(cloudEvent.id)
+    })
+
+    it('uses the options of each function', async () => {
+      const events = []
+
+      const client = createClient(events, [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      plugin.instrumentFunctionsFramework({
+        http: { notifyOnStatus: [500, 599] },
+        functions: {
+          excluded: false,
+          statuses: { excludeStatuses: [503] },
+        },
+      })
+
+      functions.http('fn', (req, res) => { res.status(500).send() })
+      functions.http('statuses', (req, res) => { res.status(503).send() })
+      functions.http('excluded', () => {
+        throw new Error('oops')
+      })
+
+      await request(getTestServer('fn')).get('/')
+      await request(getTestServer('statuses')).get('/')
+      await request(getTestServer('excluded')).get('/')
+
+      expect(events).length(1)
+      expect(events[0].events[0].errors[0].errorClass).eq('ResponseStatusError')
+    })
+  })
+
+  describe('background handler', () => {
+    const data = { name: 'file.txt', bucket: 'my-bucket' }
+    const context = {
+      eventId: '1147091835525187',
+      eventType: 'google.storage.object.finalize',
+      resource: 'projects/_/buckets/my-bucket/objects/file.txt',
+      timestamp: '2024-10-14T10:13:10.178Z',
+    }
+
+    const createHandler = (events, sessions, handler) => {
+      const client = createClient(events, sessions)
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      return plugin.createBackgroundHandler()(handler)
+    }
+
+    it('adds the event context as metadata', async () => {
+      const events = []
+      const sessions = []
+      const error = new Error('oops')
+
+      const wrappedHandler = createHandler(events, sessions, async (data, context) => {
+        expect(context.eventId).eq('1147091835525187')
+        expect(context.bugsnag).to.be.an('object')
+
+        throw error
+      })
+
+      let thrownError
+
+      try {
+        await wrappedHandler(data, context)
+      } catch (err) {
+        thrownError = err
+      }
+
+      expect(thrownError).eq(error)
+      expect(events).length(1)
+
+      const event = events[0].events[0]
+
+      expect(event.errors[0].errorMessage).eq('oops')
+      expect(event.unhandled).eq(true)
+      expect(event.context).eq('projects/_/buckets/my-bucket/objects/file.txt')
+      expect(event.getMetadata('event')).to.deep.eq({ ...context, data })
+      expect(sessions).length(1)
+      expect(sessions[0].app.trigger).eq('google.storage.object.finalize')
+      expect(sessions[0].app.invocationOutcome).eq('unhandledError')
+    })
+
+    it('uses the name of a resource object as the context', async () => {
+      const events = []
+
+      const wrappedHandler = createHandler(events, [], (data, context) => {
+        context.bugsnag.notify(new Error('handled'))
+
+        return 'done'
+      })
+
+      const result = await wrappedHandler(data, {
+        ...context,
+        resource: { service: 'storage.googleapis.com', name: 'projects/_/buckets/my-bucket/objects/file.txt' },
+      })
+
+      expect(result).eq('done')
+      expect(events).length(1)
+      expect(events[0].events[0].context).eq('projects/_/buckets/my-bucket/objects/file.txt')
+    })
+
+    it('supports handlers with a callback', async () => {
+      const events = []
+
+      const succeeding = createHandler(events, [], (data, context, callback) => {
+        setTimeout(() => callback(null, 'done'), 1)
+      })
+      const failing = createHandler(events, [], (data, context, callback) => {
+        callback(new Error('callback error'))
+      })
+
+      expect(await succeeding(data, context)).eq('done')
+
+      let thrownError
+
+      try {
+        await failing(data, context)
+      } catch (err) {
+        thrownError = err
+      }
+
+      expect(thrownError.message).eq('callback error')
+      expect(events).length(1)
+      expect(events[0].events[0].errors[0].errorMessage).eq('callback error')
+    })
+  })
+
+  describe('@bugsnag/node', () => {
+    const names = ['uncaughtException', 'unhandledRejection']
+    let listeners
+
+    // the client listens to the process-level errors
+    beforeEach(() => {
+      listeners = names.map(name => process.listeners(name))
+    })
+
+    afterEach(() => {
+      names.forEach((name, i) => {
+        process.removeAllListeners(name)
+        listeners[i].forEach(listener => process.on(name, listener))
+      })
+    })
+
+    it('does not start a session when a server plugin is loaded', async () => {
+      const sessions = []
+
+      // the server plugin is loaded after this one
+      const client = createNodeClient([], sessions, { plugins: [BugsnagPluginCloudRunFunction, BugsnagPluginExpress] })
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const app = express()
+
+      app.use(client.getPlugin('express').requestHandler)
+      app.get('/orders/:id', (req, res) => { res.send('ok') })
+
+      functions.http('fn', plugin.createHttpHandler()(app))
+
+      await request(getTestServer('fn')).get('/orders/1')
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      // the session of @bugsnag/plugin-express only
+      expect(sessions).length(1)
+    })
+
+    it('resets the app duration on every invocation', async () => {
+      const client = createNodeClient([], [])
+
+      const plugin = client.getPlugin('CloudRunFunctions')
+
+      if (!plugin) {
+        throw new Error('Plugin was not loaded!')
+      }
+
+      const reset = sinon.spy(client.getPlugin('appDuration'), 'reset')
+
+      const wrappedHandler = plugin.createCloudEventHandler()(async () => {})
+
+      await wrappedHandler(cloudEvent)
+      await wrappedHandler(cloudEvent)
+
+      expect(reset.calledTwice).eq(true)
+    })
+  })
 })
@@ -1,24 +1,97 @@
-import { Plugin, Client } from '@bugsnag/core'
+import { Plugin, Client, Event } from '@bugsnag/core'
 
 declare const BugsnagPluginCloudRunFunctions: Plugin
 export default BugsnagPluginCloudRunFunctions
 
 type HttpFunction = (req: any, res: any) => Promise<any>
 type ExpressApplication = (req: any, res: any, next) => any
-type CallbackFunction = (err?: Error | string | null, response?: any) => void
-type CloudEventFunction = (cloudEvent: any) => Promise<any>
+type KoaApplication = { callback (): (req: any, res: any) => Promise<any> }
+type CallbackFunction = ((err?: Error | string | null, response?: any) => void) & CloudEventContext
+type CloudEventFunction = ((cloudEvent: any) => any) | ((cloudEvent: any, context: CloudEventContext) => Promise<any>)
 type CloudEventFunctionWithCallback = (cloudEvent: any, callback: CallbackFunction) => void
+type BackgroundFunction = (data: any, context: BackgroundContext) => any
+type BackgroundFunctionWithCallback = (data: any, context: BackgroundContext, callback: (err?: Error | string | null, response?: any) => void) => void
 
-export type BugsnagPluginCloudRunFunctionsHttpHandler = (handler: HttpFunction | ExpressApplication) => HttpFunction
-export type BugsnagPluginCloudRunFunctionsCloudEventHandler = (handler: CloudEventFunction | CloudEventFunctionWithCallback) => CloudEventFunction
+export interface CloudEventContext {
+  bugsnag: Client
+  waitUntil (promise: Promise<any>): void
+}
+
+export interface BackgroundContext extends CloudEventContext {
+  eventId?: string
+  eventType?: string
+  resource?: string | { service?: string, name?: string, type?: string }
+  timestamp?: string
+}
+
+export type BugsnagPluginCloudRunFunctionsHttpHandler = (handler: HttpFunction | ExpressApplication | KoaApplication) => HttpFunction
+export type BugsnagPluginCloudRunFunctionsCloudEventHandler = (handler: CloudEventFunction | CloudEventFunctionWithCallback) => (cloudEvent: any) => Promise<any>
+export type BugsnagPluginCloudRunFunctionsBackgroundHandler = (handler: BackgroundFunction | BackgroundFunctionWithCallback) => (data: any, context: any) => Promise<any>
+
+export interface CloudEventEnricher {
+  match (type: string, source: string): boolean
+  enrich (cloudEvent: any, event: Event): void
+}
+
+export interface HttpEnricher {
+  match (method: string, path: string): boolean
+  enrich (req: any, event: Event): void
+}
 
 export interface BugsnagPluginCloudRunFunctionsConfiguration {
   flushTimeoutMs?: number
+  timeoutMs?: number
+  timeoutWarningMs?: number
+  metadataServer?: boolean
+  guessReleaseStage?: boolean
+  structuredLogging?: boolean
+  captureBreadcrumbs?: boolean
+  captureBody?: 'none' | 'truncated' | 'full'
+  maxBodySize?: number
+  maxMetadataSize?: number
+  aggregateSessions?: boolean
+  sessionFlushIntervalMs?: number
+  sessionFlushThreshold?: number
+  flushOnShutdown?: boolean
+  shutdownTimeoutMs?: number
+  waitUntilTimeoutMs?: number
+}
+
+export interface BugsnagPluginCloudRunFunctionsHttpConfiguration extends BugsnagPluginCloudRunFunctionsConfiguration {
+  enrichers?: HttpEnricher[]
+  notifyOnStatus?: [number, number] | ((statusCode: number, req: any, res: any) => boolean)
+  excludeStatuses?: number[]
+  allowedHeaders?: string[]
+  redactedHeaders?: string[]
+  routes?: string[] | ((path: string, req: any) => string | undefined)
+  notifyClientAborts?: boolean
+  maxResponseWaitMs?: number
+}
+
+export interface BugsnagPluginCloudRunFunctionsCloudEventConfiguration extends BugsnagPluginCloudRunFunctionsConfiguration {
+  enrichers?: CloudEventEnricher[]
+  redactedDataPaths?: string[]
+  notifyAttempts?: 'all' | 'first' | 'final'
+  maxDeliveryAttempts?: number
+  maxEventAgeMs?: number
+}
+
+export interface BugsnagPluginCloudRunFunctionsInstrumentationConfiguration {
+  http?: BugsnagPluginCloudRunFunctionsHttpConfiguration
+  cloudEvent?: BugsnagPluginCloudRunFunctionsCloudEventConfiguration
+  functions?: {
+    [functionName: string]: BugsnagPluginCloudRunFunctionsHttpConfiguration | BugsnagPluginCloudRunFunctionsCloudEventConfiguration | false
+  }
 }
 
 export interface BugsnagPluginCloudRunFunctionsResult {
-  createHttpHandler (configuration?: BugsnagPluginCloudRunFunctionsConfiguration): BugsnagPluginCloudRunFunctionsHttpHandler
-  createCloudEventHandler (configuration?: BugsnagPluginCloudRunFunctionsConfiguration): BugsnagPluginCloudRunFunctionsCloudEventHandler
+  createHttpHandler (configuration?: BugsnagPluginCloudRunFunctionsHttpConfiguration): BugsnagPluginCloudRunFunctionsHttpHandler
+  createCloudEventHandler (configuration?: BugsnagPluginCloudRunFunctionsCloudEventConfiguration): BugsnagPluginCloudRunFunctionsCloudEventHandler
+  createBackgroundHandler (configuration?: BugsnagPluginCloudRunFunctionsConfiguration): BugsnagPluginCloudRunFunctionsBackgroundHandler
+  addCloudEventEnricher (enricher: CloudEventEnricher): void
+  getInvocationClient (): Client | undefined
+  waitUntil (promise: Promise<any>): void
+  instrumentFunctionsFramework (configuration?: BugsnagPluginCloudRunFunctionsInstrumentationConfiguration): void
 }
 
 // add a new call signature for the getPlugin() method that types the plugin result